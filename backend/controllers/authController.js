@@ -0,0 +1,241 @@
+const { User, Store, Invite } = require("../models");
+const { signToken } = require("../middleware/auth");
+
+/**
+ * Register a store owner account
+ * POST /api/auth/register
+ * Optionally creates (or claims, with its page token) the owner's store,
+ * or joins a store through an invite token
+ */
+exports.register = async (req, res, next) => {
+  try {
+    const {
+      name,
+      email,
+      password,
+      store: storeData,
+      inviteToken,
+    } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "name, email and password are required",
+      });
+    }
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 8 characters",
+      });
+    }
+
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Email is already registered" });
+    }
+
+    let invite = null;
+    if (inviteToken) {
+      invite = await findOpenInvite(inviteToken);
+      if (!invite) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Invite not found or expired" });
+      }
+      if (invite.email && invite.email !== email.toLowerCase().trim()) {
+        return res.status(403).json({
+          success: false,
+          message: "This invite was sent to a different email",
+        });
+      }
+    }
+
+    let store = null;
+    if (storeData) {
+      const { name: storeName, facebookPageId, facebookPageToken } = storeData;
+      if (!storeName || !facebookPageId || !facebookPageToken) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "store.name, store.facebookPageId and store.facebookPageToken are required",
+        });
+      }
+
+      store = await Store.findOne({ facebookPageId });
+      if (store) {
+        // An existing store can only be claimed once, by someone holding its page token
+        if (
+          await User.exists({
+            memberships: { $elemMatch: { store: store._id, role: "owner" } },
+          })
+        ) {
+          return res
+            .status(409)
+            .json({ success: false, message: "Store already has an owner" });
+        }
+        if (store.facebookPageToken !== facebookPageToken) {
+          return res
+            .status(403)
+            .json({ success: false, message: "Page token does not match" });
+        }
+      } else {
+        store = await Store.create({
+          name: storeName,
+          facebookPageId,
+          facebookPageToken,
+        });
+      }
+    }
+
+    const memberships = [];
+    if (store) memberships.push({ store: store._id, role: "owner" });
+    if (invite) memberships.push({ store: invite.store, role: invite.role });
+
+    const user = await User.create({ name, email, password, memberships });
+
+    if (invite) await markInviteAccepted(invite, user);
+
+    console.log(`👤 Registered user ${user.email}`);
+
+    return res.status(201).json({
+      success: true,
+      token: signToken(user),
+      user,
+    });
+  } catch (error) {
+    console.log("Error in register:", error);
+    next(error);
+  }
+};
+
+/**
+ * Log in with email and password
+ * POST /api/auth/login
+ */
+exports.login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res
+        .status(400)
+        .json({ success: false, message: "email and password are required" });
+    }
+
+    const user = await User.findOne({
+      email: email.toLowerCase().trim(),
+    }).select("+password");
+
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid email or password" });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    return res.json({
+      success: true,
+      token: signToken(user),
+      user,
+    });
+  } catch (error) {
+    console.log("Error in login:", error);
+    next(error);
+  }
+};
+
+/**
+ * Log out - invalidates every token issued to this user so far
+ * POST /api/auth/logout
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+    return res.json({ success: true, message: "Logged out" });
+  } catch (error) {
+    console.log("Error in logout:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get the current user and their stores
+ * GET /api/auth/me
+ */
+exports.me = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).populate(
+      "memberships.store",
+      "name facebookPageId googleSheetId shopType settings isActive",
+    );
+    return res.json({ success: true, user });
+  } catch (error) {
+    console.log("Error in me:", error);
+    next(error);
+  }
+};
+
+/**
+ * Accept a store invite as the logged-in user
+ * POST /api/auth/invites/:token/accept
+ */
+exports.acceptInvite = async (req, res, next) => {
+  try {
+    const invite = await findOpenInvite(req.params.token);
+    if (!invite) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invite not found or expired" });
+    }
+    if (invite.email && invite.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: "This invite was sent to a different email",
+      });
+    }
+    if (req.user.roleIn(invite.store)) {
+      return res.status(409).json({
+        success: false,
+        message: "You are already a member of this store",
+      });
+    }
+
+    req.user.memberships.push({ store: invite.store, role: invite.role });
+    await req.user.save();
+    await markInviteAccepted(invite, req.user);
+
+    console.log(
+      `🤝 ${req.user.email} joined store ${invite.store} as ${invite.role}`,
+    );
+
+    return res.json({
+      success: true,
+      message: "Invite accepted",
+      membership: { store: invite.store, role: invite.role },
+    });
+  } catch (error) {
+    console.log("Error in acceptInvite:", error);
+    next(error);
+  }
+};
+
+/**
+ * Invite that has not been used and has not expired
+ */
+function findOpenInvite(token) {
+  return Invite.findOne({
+    token,
+    acceptedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+function markInviteAccepted(invite, user) {
+  invite.acceptedAt = new Date();
+  invite.acceptedBy = user._id;
+  return invite.save();
+}
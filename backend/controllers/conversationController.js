@@ -0,0 +1,196 @@
+const { Conversation, Store } = require("../models");
+const { scopeStores } = require("../middleware/auth");
+const messengerService = require("../services/messengerService");
+
+/**
+ * Get conversations, most recently active first
+ * GET /api/conversations?status=&intent=&since=&until=&customerId=&storeId=&page=&limit=
+ * `status=waiting_for_info` lists stalled carts to follow up on
+ */
+exports.getAllConversations = async (req, res, next) => {
+  try {
+    const {
+      status,
+      intent,
+      since,
+      until,
+      customerId,
+      storeId,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    const store = scopeStores(req, storeId);
+    if (!store) {
+      return res
+        .status(403)
+        .json({ message: "You do not have access to this store" });
+    }
+
+    const query = { store };
+    if (status) query.status = status;
+    if (intent) query.currentIntent = intent;
+    if (customerId) query.customer = customerId;
+    if (since || until) {
+      query.lastActivity = {};
+      if (since) query.lastActivity.$gte = new Date(since);
+      if (until) query.lastActivity.$lte = new Date(until);
+    }
+
+    // The list only carries the latest message; the thread is on the detail route
+    const conversations = await Conversation.find(query)
+      .select({ messages: { $slice: -1 } })
+      .populate("customer", "name phoneNumber facebookId")
+      .sort({ lastActivity: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await Conversation.countDocuments(query);
+
+    res.json({
+      conversations,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      totalConversations: count,
+    });
+  } catch (error) {
+    console.log("Error in getAllConversations:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get a conversation with its full message thread
+ * GET /api/conversations/:id
+ */
+exports.getConversationById = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      store: scopeStores(req),
+    })
+      .populate("customer")
+      .populate("orders", "items totalAmount status createdAt");
+
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+    res.json(conversation);
+  } catch (error) {
+    console.log("Error in getConversationById:", error);
+    next(error);
+  }
+};
+
+/**
+ * Take over a conversation: the bot stops answering until resumed
+ * POST /api/conversations/:id/pause
+ */
+exports.pauseBot = async (req, res, next) => {
+  try {
+    const conversation = await findScopedConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    if (!conversation.botPaused) {
+      conversation.pauseBot("operator", req.user._id);
+      await conversation.save();
+      console.log(`⏸️  Bot paused by ${req.user.email}: ${conversation._id}`);
+    }
+    res.json(handoffState(conversation));
+  } catch (error) {
+    console.log("Error in pauseBot:", error);
+    next(error);
+  }
+};
+
+/**
+ * Hand the conversation back to the bot
+ * POST /api/conversations/:id/resume
+ */
+exports.resumeBot = async (req, res, next) => {
+  try {
+    const conversation = await findScopedConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    if (conversation.botPaused) {
+      conversation.resumeBot(req.user._id);
+      await conversation.save();
+      console.log(`▶️  Bot resumed by ${req.user.email}: ${conversation._id}`);
+    }
+    res.json(handoffState(conversation));
+  } catch (error) {
+    console.log("Error in resumeBot:", error);
+    next(error);
+  }
+};
+
+/**
+ * Reply to the customer as a human; pauses the bot so it doesn't talk over the operator
+ * POST /api/conversations/:id/messages
+ */
+exports.sendAdminMessage = async (req, res, next) => {
+  try {
+    const { text } = req.body;
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: "text is required" });
+    }
+
+    const conversation = await findScopedConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+    const store = await Store.findById(conversation.store);
+
+    let delivery;
+    try {
+      delivery = await messengerService.sendMessage(
+        conversation.facebookConversationId,
+        { text: text.trim() },
+        store.facebookPageToken,
+      );
+    } catch (sendError) {
+      // e.g. outside Messenger's 24-hour reply window
+      return res.status(502).json({
+        message: "Messenger rejected the message",
+        error: sendError.response?.data?.error?.message || sendError.message,
+      });
+    }
+
+    if (!conversation.botPaused) {
+      conversation.pauseBot("operator_reply", req.user._id);
+    }
+    await conversation.addMessage("admin", text.trim(), {
+      mid: delivery?.message_id,
+      user: req.user._id,
+      userName: req.user.name,
+    });
+
+    res.status(201).json({
+      message: conversation.messages[conversation.messages.length - 1],
+      ...handoffState(conversation),
+    });
+  } catch (error) {
+    console.log("Error in sendAdminMessage:", error);
+    next(error);
+  }
+};
+
+function findScopedConversation(req) {
+  return Conversation.findOne({
+    _id: req.params.id,
+    store: scopeStores(req),
+  });
+}
+
+function handoffState(conversation) {
+  return {
+    conversationId: conversation._id,
+    botPaused: conversation.botPaused,
+    handoff: conversation.handoff,
+  };
+}
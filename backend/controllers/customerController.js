@@ -0,0 +1,182 @@
+const { Customer, Order } = require("../models");
+const { scopeStores } = require("../middleware/auth");
+const contactService = require("../services/contactService");
+const auditService = require("../services/auditService");
+
+// Customer fields staff may edit
+const EDITABLE_FIELDS = ["name", "phoneNumber", "address"];
+
+/**
+ * Get all customers, optionally searched by name or phone
+ * GET /api/customers?search=&storeId=&page=&limit=
+ */
+exports.getAllCustomers = async (req, res, next) => {
+  try {
+    const { search, storeId, page = 1, limit = 20 } = req.query;
+
+    const store = scopeStores(req, storeId);
+    if (!store) {
+      return res
+        .status(403)
+        .json({ message: "You do not have access to this store" });
+    }
+
+    const query = { store };
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search.trim()), "i");
+      const digits = search.replace(/\D/g, "");
+      query.$or = [{ name: pattern }];
+      if (digits) query.$or.push({ phoneNumber: new RegExp(digits) });
+    }
+
+    const customers = await Customer.find(query)
+      .select("-orders")
+      .sort({ "metadata.lastMessageDate": -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await Customer.countDocuments(query);
+
+    res.json({
+      customers,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      totalCustomers: count,
+    });
+  } catch (error) {
+    console.log("Error in getAllCustomers:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get a customer with their recent orders
+ * GET /api/customers/:id
+ */
+exports.getCustomerById = async (req, res, next) => {
+  try {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      store: scopeStores(req),
+    }).select("-orders");
+
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const orders = await Order.find({ customer: customer._id })
+      .select("items totalAmount status phoneNumber address createdAt")
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({ ...customer.toObject(), recentOrders: orders });
+  } catch (error) {
+    console.log("Error in getCustomerById:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get a customer's order history
+ * GET /api/customers/:id/orders?page=&limit=
+ */
+exports.getCustomerOrders = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      store: scopeStores(req),
+    }).select("_id");
+
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const query = { customer: customer._id, store: scopeStores(req) };
+    const orders = await Order.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      totalOrders: count,
+    });
+  } catch (error) {
+    console.log("Error in getCustomerOrders:", error);
+    next(error);
+  }
+};
+
+/**
+ * Update a customer's saved contact details
+ * PATCH /api/customers/:id
+ */
+exports.updateCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      store: scopeStores(req),
+    });
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const { name, phoneNumber, address } = req.body;
+
+    if (phoneNumber !== undefined && phoneNumber !== null) {
+      if (!contactService.isValidPhone(String(phoneNumber))) {
+        return res
+          .status(400)
+          .json({ message: "Утасны дугаар буруу байна (8 оронтой)" });
+      }
+    }
+
+    const before = customer.toObject();
+
+    if (name) customer.name = name.trim();
+    // null clears a saved value so the bot stops offering it
+    if (phoneNumber !== undefined) {
+      customer.phoneNumber = phoneNumber
+        ? contactService.normalizePhone(String(phoneNumber))
+        : undefined;
+    }
+    if (address !== undefined) {
+      customer.address = address ? address.trim() : undefined;
+    }
+
+    await customer.save();
+
+    const changes = auditService.diff(
+      before,
+      customer.toObject(),
+      EDITABLE_FIELDS,
+    );
+    if (changes) {
+      await auditService.record({
+        store: customer.store,
+        entityType: "customer",
+        entityId: customer._id,
+        action: "customer.updated",
+        actor: auditService.actorFromRequest(req),
+        ...changes,
+      });
+    }
+
+    res.json(customer);
+  } catch (error) {
+    console.log("Error in updateCustomer:", error);
+    next(error);
+  }
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,75 @@
+const { DeadLetterEvent, Store } = require("../models");
+const { scopeStores } = require("../middleware/auth");
+const eventQueueService = require("../services/eventQueueService");
+
+/**
+ * Facebook Page IDs of the stores the caller owns
+ */
+function ownedPageIds(req) {
+  return Store.find({ _id: scopeStores(req) }).distinct("facebookPageId");
+}
+
+/**
+ * List webhook events that exhausted their retries
+ * GET /api/events/failed
+ */
+exports.getFailedEvents = async (req, res, next) => {
+  try {
+    const { pageId, page = 1, limit = 20 } = req.query;
+
+    const pageIds = await ownedPageIds(req);
+    if (pageId && !pageIds.includes(pageId)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have access to this store" });
+    }
+
+    const query = { pageId: pageId || { $in: pageIds } };
+
+    const events = await DeadLetterEvent.find(query)
+      .sort({ failedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await DeadLetterEvent.countDocuments(query);
+
+    res.json({
+      events,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      totalEvents: count,
+    });
+  } catch (error) {
+    console.log("Error in getFailedEvents:", error);
+    next(error);
+  }
+};
+
+/**
+ * Put a failed event back on the queue
+ * POST /api/events/failed/:id/replay
+ */
+exports.replayFailedEvent = async (req, res, next) => {
+  try {
+    const deadLetter = await DeadLetterEvent.findOne({
+      _id: req.params.id,
+      pageId: { $in: await ownedPageIds(req) },
+    });
+    if (!deadLetter) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const job = await eventQueueService.replay(deadLetter);
+    console.log(`🔁 Replaying dead-lettered event ${deadLetter._id}`);
+
+    res.json({
+      message: "Event re-queued",
+      jobId: job._id,
+      replayCount: deadLetter.replayCount,
+    });
+  } catch (error) {
+    console.log("Error in replayFailedEvent:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+const { User, Invite } = require("../models");
+const { scopeStores } = require("../middleware/auth");
+const auditService = require("../services/auditService");
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * List staff of a store and its open invites
+ * GET /api/stores/:id/members
+ */
+exports.getMembers = async (req, res, next) => {
+  try {
+    const storeId = scopeStores(req, req.params.id);
+    if (!storeId) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Дэлгүүр олдсонгүй" });
+    }
+
+    const users = await User.find({ "memberships.store": storeId });
+    const invites = await Invite.find({
+      store: storeId,
+      acceptedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).select("email role expiresAt createdAt");
+
+    return res.json({
+      success: true,
+      data: {
+        members: users.map((u) => ({
+          id: u._id,
+          name: u.name,
+          email: u.email,
+          role: u.roleIn(storeId),
+        })),
+        invites,
+      },
+    });
+  } catch (error) {
+    console.log("Error in getMembers:", error);
+    next(error);
+  }
+};
+
+/**
+ * Add staff to a store
+ * POST /api/stores/:id/invites
+ * An existing user with that email is added right away; otherwise an invite token is returned
+ */
+exports.inviteMember = async (req, res, next) => {
+  try {
+    const storeId = scopeStores(req, req.params.id);
+    if (!storeId) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Дэлгүүр олдсонгүй" });
+    }
+
+    const { email, role = "operator" } = req.body;
+    if (!User.STORE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${User.STORE_ROLES.join(", ")}`,
+      });
+    }
+
+    const normalizedEmail = email ? email.toLowerCase().trim() : undefined;
+
+    if (normalizedEmail) {
+      const existing = await User.findOne({ email: normalizedEmail });
+      if (existing) {
+        if (existing.roleIn(storeId)) {
+          return res.status(409).json({
+            success: false,
+            message: "User is already a member of this store",
+          });
+        }
+
+        existing.memberships.push({ store: storeId, role });
+        await existing.save();
+        await recordMembershipChange(req, storeId, "store.member_added", null, {
+          user: existing._id,
+          email: existing.email,
+          role,
+        });
+        console.log(`🤝 Added ${existing.email} to store ${storeId} as ${role}`);
+
+        return res.status(201).json({
+          success: true,
+          message: "Member added",
+          data: { userId: existing._id, email: existing.email, role },
+        });
+      }
+    }
+
+    const invite = await Invite.create({
+      store: storeId,
+      email: normalizedEmail,
+      role,
+      token: crypto.randomBytes(24).toString("hex"),
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Invite created",
+      data: {
+        inviteToken: invite.token,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.log("Error in inviteMember:", error);
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role
+ * PATCH /api/stores/:id/members/:userId
+ */
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    const storeId = scopeStores(req, req.params.id);
+    if (!storeId) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Дэлгүүр олдсонгүй" });
+    }
+
+    const { role } = req.body;
+    if (!User.STORE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${User.STORE_ROLES.join(", ")}`,
+      });
+    }
+
+    const member = await User.findOne({
+      _id: req.params.userId,
+      "memberships.store": storeId,
+    });
+    if (!member) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Member not found" });
+    }
+
+    if (
+      member.roleIn(storeId) === "owner" &&
+      role !== "owner" &&
+      (await isLastOwner(storeId))
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "A store must keep at least one owner",
+      });
+    }
+
+    const membership = member.memberships.find(
+      (m) => m.store.toString() === storeId,
+    );
+    const previousRole = membership.role;
+    membership.role = role;
+    await member.save();
+
+    await recordMembershipChange(
+      req,
+      storeId,
+      "store.member_role_changed",
+      { user: member._id, email: member.email, role: previousRole },
+      { user: member._id, email: member.email, role },
+    );
+
+    return res.json({
+      success: true,
+      data: { userId: member._id, email: member.email, role },
+    });
+  } catch (error) {
+    console.log("Error in updateMemberRole:", error);
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from a store
+ * DELETE /api/stores/:id/members/:userId
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const storeId = scopeStores(req, req.params.id);
+    if (!storeId) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Дэлгүүр олдсонгүй" });
+    }
+
+    const member = await User.findOne({
+      _id: req.params.userId,
+      "memberships.store": storeId,
+    });
+    if (!member) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Member not found" });
+    }
+
+    if (member.roleIn(storeId) === "owner" && (await isLastOwner(storeId))) {
+      return res.status(409).json({
+        success: false,
+        message: "A store must keep at least one owner",
+      });
+    }
+
+    const previousRole = member.roleIn(storeId);
+    member.memberships = member.memberships.filter(
+      (m) => m.store.toString() !== storeId,
+    );
+    await member.save();
+
+    await recordMembershipChange(
+      req,
+      storeId,
+      "store.member_removed",
+      { user: member._id, email: member.email, role: previousRole },
+      null,
+    );
+
+    return res.json({ success: true, message: "Member removed" });
+  } catch (error) {
+    console.log("Error in removeMember:", error);
+    next(error);
+  }
+};
+
+function recordMembershipChange(req, storeId, action, before, after) {
+  return auditService.record({
+    store: storeId,
+    entityType: "store",
+    entityId: storeId,
+    action,
+    actor: auditService.actorFromRequest(req),
+    before,
+    after,
+  });
+}
+
+async function isLastOwner(storeId) {
+  const owners = await User.countDocuments({
+    memberships: { $elemMatch: { store: storeId, role: "owner" } },
+  });
+  return owners <= 1;
+}
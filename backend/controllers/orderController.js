@@ -1,5 +1,13 @@
 const Order = require("../models/Order");
 const Customer = require("../models/Customer");
+const Store = require("../models/Store");
+const { scopeStores } = require("../middleware/auth");
+const auditService = require("../services/auditService");
+const inventoryService = require("../services/inventoryService");
+const customerService = require("../services/customerService");
+const contactService = require("../services/contactService");
+const notificationService = require("../services/notificationService");
+const orderService = require("../services/orderService");
 
 /**
  * Get all orders
@@ -7,9 +15,16 @@ const Customer = require("../models/Customer");
  */
 exports.getAllOrders = async (req, res, next) => {
   try {
-    const { status, customerId, page = 1, limit = 20 } = req.query;
+    const { status, customerId, storeId, page = 1, limit = 20 } = req.query;
 
-    const query = {};
+    const store = scopeStores(req, storeId);
+    if (!store) {
+      return res
+        .status(403)
+        .json({ message: "You do not have access to this store" });
+    }
+
+    const query = { store };
     if (status) query.status = status;
     if (customerId) query.customer = customerId;
 
@@ -40,7 +55,10 @@ exports.getAllOrders = async (req, res, next) => {
  */
 exports.getOrderById = async (req, res, next) => {
   try {
-    const order = await Order.findById(req.params.id)
+    const order = await Order.findOne({
+      _id: req.params.id,
+      store: scopeStores(req),
+    })
       .populate("customer")
       .populate("conversation");
 
@@ -54,24 +72,71 @@ exports.getOrderById = async (req, res, next) => {
   }
 };
 
+// Order fields tracked in the audit log
+const AUDITED_FIELDS = [
+  "status",
+  "items",
+  "phoneNumber",
+  "address",
+  "addressDetails",
+  "notes",
+  "totalAmount",
+  "aiExtraction.needsReview",
+  "verifiedBy",
+  "deliveryTracking",
+];
+
 /**
- * Update order status
+ * Update order status and/or delivery tracking
  * PATCH /api/orders/:id/status
+ * Body: { status, deliveryTracking } - at least one of them
  */
 exports.updateOrderStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true },
-    );
+    const { status, deliveryTracking } = req.body;
+    if (!status && !deliveryTracking) {
+      return res
+        .status(400)
+        .json({ message: "status or deliveryTracking is required" });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      store: scopeStores(req),
+    });
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
+
+    const before = order.toObject();
+    const actor = auditService.actorFromRequest(req);
+    // Carrier, tracking number and ETA usually arrive with "shipped"
+    if (deliveryTracking) {
+      order.deliveryTracking = {
+        ...order.toObject().deliveryTracking,
+        ...deliveryTracking,
+      };
+    }
+
+    if (status === "cancelled") {
+      await orderService.cancelOrder(order, actor);
+    } else {
+      // Tracking can be corrected without moving the order
+      if (status) order.transitionTo(status, actor);
+      await order.save();
+    }
+
+    await recordOrderChange(
+      req,
+      order,
+      before,
+      status ? "order.status_changed" : "order.tracking_updated",
+    );
+    if (status) notifyCustomer(order);
     res.json(order);
   } catch (error) {
+    if (error.allowedTransitions) return sendIllegalTransition(res, error);
     console.log("Error in updateOrderStatus:", error);
     next(error);
   }
@@ -85,27 +150,54 @@ exports.verifyOrder = async (req, res, next) => {
   try {
     const { items, phoneNumber, address, status, notes } = req.body;
 
-    const updateData = {
-      verifiedAt: new Date(),
-      "aiExtraction.needsReview": false,
-    };
-
-    if (items) updateData.items = items;
-    if (phoneNumber) updateData.phoneNumber = phoneNumber;
-    if (address) updateData.address = address;
-    if (status) updateData.status = status;
-    if (notes) updateData.notes = notes;
+    if (phoneNumber && !contactService.isValidPhone(phoneNumber)) {
+      return res
+        .status(400)
+        .json({ message: "Утасны дугаар буруу байна (8 оронтой)" });
+    }
 
-    const order = await Order.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-      runValidators: true,
+    const order = await Order.findOne({
+      _id: req.params.id,
+      store: scopeStores(req),
     });
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
+
+    const before = order.toObject();
+
+    order.verifiedAt = new Date();
+    order.verifiedBy = req.user._id.toString();
+    order.aiExtraction.needsReview = false;
+
+    if (items) order.items = items;
+    if (phoneNumber) {
+      order.phoneNumber = contactService.normalizePhone(phoneNumber);
+    }
+    if (address) {
+      order.address = address;
+      order.addressDetails = contactService.parseAddress(address);
+    }
+    if (notes) order.notes = notes;
+    const actor = auditService.actorFromRequest(req);
+    const statusChanged = status && status !== order.status;
+
+    if (statusChanged && status === "cancelled") {
+      // Saves the edits too, returns the stock and tells the dashboard
+      await orderService.cancelOrder(order, actor, notes);
+    } else {
+      if (statusChanged) order.transitionTo(status, actor, notes);
+      await order.save(); // Recalculates totals when items were edited
+      // Edited items change what the customer has spent
+      await customerService.refreshOrderTotals(order.customer);
+    }
+
+    await recordOrderChange(req, order, before, "order.verified");
+    if (statusChanged) notifyCustomer(order);
     res.json(order);
   } catch (error) {
+    if (error.allowedTransitions) return sendIllegalTransition(res, error);
     console.log("Error in verifyOrder:", error);
     next(error);
   }
@@ -117,13 +209,116 @@ exports.verifyOrder = async (req, res, next) => {
  */
 exports.deleteOrder = async (req, res, next) => {
   try {
-    const order = await Order.findByIdAndDelete(req.params.id);
+    const order = await Order.findOne({
+      _id: req.params.id,
+      store: scopeStores(req),
+    });
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
+
+    // Shipped and delivered goods have left the shop; cancelled orders
+    // already gave their stock back
+    if (["pending", "confirmed", "processing"].includes(order.status)) {
+      await inventoryService.releaseOrderStock(
+        order,
+        auditService.actorFromRequest(req),
+      );
+    }
+    await Order.deleteOne({ _id: order._id });
+    await Customer.updateOne(
+      { _id: order.customer },
+      { $pull: { orders: order._id } },
+    );
+    await customerService.refreshOrderTotals(order.customer);
+
+    await auditService.record({
+      store: order.store,
+      entityType: "order",
+      entityId: order._id,
+      action: "order.deleted",
+      actor: auditService.actorFromRequest(req),
+      before: order.toObject(),
+      after: null,
+    });
+
     res.json({ message: "Order deleted successfully" });
   } catch (error) {
     console.log("Error in deleteOrder:", error);
     next(error);
   }
 };
+
+/**
+ * Order change history: what the AI extracted and every change since
+ * GET /api/orders/:id/history
+ */
+exports.getOrderHistory = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      store: scopeStores(req),
+    }).select("aiExtraction status createdAt");
+
+    const history = await auditService.getHistory("order", req.params.id);
+
+    // A deleted order only survives in its audit trail
+    if (!order && !history.some((h) => scopeStores(req, h.store))) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.json({
+      orderId: req.params.id,
+      deleted: !order,
+      aiExtraction: order ? order.aiExtraction : undefined,
+      history,
+    });
+  } catch (error) {
+    console.log("Error in getOrderHistory:", error);
+    next(error);
+  }
+};
+
+/**
+ * 409 response naming the statuses the order may move to
+ */
+function sendIllegalTransition(res, error) {
+  return res.status(409).json({
+    message: error.message,
+    currentStatus: error.currentStatus,
+    allowedTransitions: error.allowedTransitions,
+  });
+}
+
+/**
+ * Message the customer about a status change in the background
+ * A failed notification never fails the status change itself.
+ */
+function notifyCustomer(order) {
+  Store.findById(order.store)
+    .then((store) =>
+      store
+        ? notificationService.notifyCustomerStatusChange(order, store)
+        : null,
+    )
+    .catch((err) =>
+      console.error("❌ Customer notification failed:", err.message),
+    );
+}
+
+/**
+ * Write an audit entry for the fields a user changed on an order
+ */
+function recordOrderChange(req, order, before, action) {
+  const changes = auditService.diff(before, order.toObject(), AUDITED_FIELDS);
+  if (!changes) return null;
+
+  return auditService.record({
+    store: order.store,
+    entityType: "order",
+    entityId: order._id,
+    action,
+    actor: auditService.actorFromRequest(req),
+    ...changes,
+  });
+}
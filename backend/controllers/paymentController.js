@@ -0,0 +1,160 @@
+const Order = require("../models/Order");
+const Store = require("../models/Store");
+const { scopeStores } = require("../middleware/auth");
+const auditService = require("../services/auditService");
+const paymentService = require("../services/paymentService");
+
+/**
+ * The order in the user's stores, or null
+ */
+function findScopedOrder(req) {
+  return Order.findOne({ _id: req.params.id, store: scopeStores(req) });
+}
+
+/**
+ * Record a payment an operator has confirmed
+ * POST /api/orders/:id/mark-paid
+ * Body: { amount (defaults to the balance), reference, method }
+ */
+exports.markPaid = async (req, res, next) => {
+  try {
+    const { amount, reference, method } = req.body;
+
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({ message: "amount must be positive" });
+    }
+    if (method && !Order.PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        message: `method must be one of: ${Order.PAYMENT_METHODS.join(", ")}`,
+      });
+    }
+
+    const order = await findScopedOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const { order: updated } = await paymentService.markPaid(
+      order,
+      {
+        amount: amount === undefined ? undefined : Number(amount),
+        reference,
+        method,
+      },
+      auditService.actorFromRequest(req),
+    );
+    res.json(updated);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.log("Error in markPaid:", error);
+    next(error);
+  }
+};
+
+/**
+ * Create a payment invoice (QPay QR) for the order's balance
+ * POST /api/orders/:id/invoice
+ * Body: { provider } (defaults to "qpay")
+ */
+exports.createInvoice = async (req, res, next) => {
+  try {
+    const order = await findScopedOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const store = await Store.findById(order.store);
+    const invoice = await paymentService.createInvoice(
+      order,
+      store,
+      req.body.provider,
+      auditService.actorFromRequest(req),
+    );
+    res.status(201).json(invoice);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.log("Error in createInvoice:", error.response?.data || error);
+    next(error);
+  }
+};
+
+/**
+ * Payment provider callback (public; the provider calls it)
+ * GET|POST /api/payments/:provider/callback?order=<orderId>
+ */
+exports.providerCallback = async (req, res) => {
+  try {
+    const result = await paymentService.handleCallback(
+      req.params.provider,
+      req.query.order,
+    );
+    if (!result) {
+      return res.status(404).json({ message: "No open invoice" });
+    }
+    // QPay only needs a 200; the body is informational
+    res.status(200).json({
+      status: "SUCCESS",
+      recorded: result.recorded,
+      paymentStatus: result.order.payment.status,
+    });
+  } catch (error) {
+    console.error(
+      "❌ Payment callback failed:",
+      error.response?.data || error.message,
+    );
+    // A non-200 makes the provider call again later
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+/**
+ * Import a bank statement and mark the transfers that match orders as paid
+ * POST /api/payments/bank-statement?storeId=<id>
+ * Body: the statement CSV (Content-Type: text/csv)
+ */
+exports.importBankStatement = async (req, res, next) => {
+  try {
+    const { storeId } = req.query;
+
+    if (!storeId || !scopeStores(req, storeId)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have access to this store" });
+    }
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res
+        .status(400)
+        .json({ message: "Send the statement as text/csv" });
+    }
+
+    const store = await Store.findById(storeId);
+    if (!store) {
+      return res.status(404).json({ message: "Store not found" });
+    }
+
+    const transfers = paymentService.parseBankStatement(req.body);
+    const summary = await paymentService.reconcileStatement(
+      store,
+      transfers,
+      auditService.actorFromRequest(req),
+    );
+
+    res.json({
+      transfers: transfers.length,
+      matched: summary.matched,
+      ambiguous: summary.ambiguous,
+      unmatched: summary.unmatched,
+      duplicates: summary.duplicates.length,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.log("Error in importBankStatement:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,47 @@
+const { scopeStores } = require("../middleware/auth");
+const realtimeService = require("../services/realtimeService");
+
+// Comment line that keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Live feed of store events (Server-Sent Events)
+ * GET /api/realtime?storeId=
+ * Events: order.created, order.needs_review, message.received,
+ * conversation.needs_operator, sync.completed
+ */
+exports.stream = (req, res) => {
+  const { storeId } = req.query;
+
+  const scope = scopeStores(req, storeId);
+  if (!scope) {
+    return res
+      .status(403)
+      .json({ message: "You do not have access to this store" });
+  }
+  const storeIds = storeId ? [scope] : req.storeIds;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable nginx buffering
+  });
+  res.flushHeaders();
+  res.write(
+    `retry: 5000\nevent: ready\ndata: ${JSON.stringify({ storeIds })}\n\n`,
+  );
+
+  const unsubscribe = realtimeService.subscribe(storeIds, (event) => {
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`,
+    );
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  console.log(`📡 Live feed opened by ${req.user.email}`);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
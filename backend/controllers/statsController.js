@@ -1,4 +1,5 @@
 const { Order, Customer } = require("../models");
+const { scopeStores } = require("../middleware/auth");
 
 /**
  * Get store statistics
@@ -8,11 +9,15 @@ exports.getStats = async (req, res) => {
   try {
     const { storeId } = req.query;
 
-    // For MVP, if no storeId, use the first one
-    let query = {};
-    if (storeId) {
-      query.store = storeId;
+    // Without a storeId, stats cover every store the caller owns
+    const store = scopeStores(req, storeId);
+    if (!store) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this store",
+      });
     }
+    const query = { store };
 
     // 1. Total Sales & Order Count
     const orders = await Order.find(query);
@@ -40,6 +45,7 @@ exports.getStats = async (req, res) => {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     const newCustomersCount = await Customer.countDocuments({
+      store,
       createdAt: { $gte: thirtyDaysAgo },
     });
 
@@ -1,5 +1,8 @@
 const googleSheetsService = require("../services/googleSheetsService");
 const { Store } = require("../models");
+const { scopeStores } = require("../middleware/auth");
+const auditService = require("../services/auditService");
+const notificationService = require("../services/notificationService");
 
 /**
  * Configure Google Sheet for a store
@@ -10,6 +13,12 @@ exports.configureSheet = async (req, res) => {
     const { id } = req.params;
     const { sheetUrl } = req.body;
 
+    if (!scopeStores(req, id)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Дэлгүүр олдсонгүй" });
+    }
+
     if (!sheetUrl) {
       return res
         .status(400)
@@ -27,11 +36,7 @@ exports.configureSheet = async (req, res) => {
     }
 
     // 2. Update Store
-    const store = await Store.findByIdAndUpdate(
-      id,
-      { googleSheetId: sheetId },
-      { new: true },
-    );
+    const store = await Store.findById(id);
 
     if (!store) {
       return res
@@ -39,6 +44,20 @@ exports.configureSheet = async (req, res) => {
         .json({ success: false, message: "Дэлгүүр олдсонгүй" });
     }
 
+    const previousSheetId = store.googleSheetId;
+    store.googleSheetId = sheetId;
+    await store.save();
+
+    await auditService.record({
+      store: store._id,
+      entityType: "store",
+      entityId: store._id,
+      action: "store.sheet_configured",
+      actor: auditService.actorFromRequest(req),
+      before: { googleSheetId: previousSheetId },
+      after: { googleSheetId: sheetId },
+    });
+
     // 3. Initial Sync (Optional but recommended for UX)
     console.log(
       `✅ Sheet configured for ${store.name}. Triggering initial sync...`,
@@ -63,3 +82,149 @@ exports.configureSheet = async (req, res) => {
     return res.status(500).json({ success: false, message: error.message });
   }
 };
+
+const NOTIFICATION_FIELDS = [
+  "notifyOn",
+  "messengerAdminPsid",
+  "email",
+  "webhookUrl",
+  "webhookSecret",
+  "quietHours",
+];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check a notification settings patch; returns an error message or null
+ * Empty strings clear a channel.
+ */
+function validateNotifications(patch) {
+  if (
+    patch.notifyOn !== undefined &&
+    !["all", "needs_review", "none"].includes(patch.notifyOn)
+  ) {
+    return "notifyOn нь all, needs_review эсвэл none байх ёстой";
+  }
+  if (patch.email && !EMAIL_PATTERN.test(patch.email)) {
+    return "Имэйл хаяг буруу байна";
+  }
+  if (patch.webhookUrl) {
+    let url;
+    try {
+      url = new URL(patch.webhookUrl);
+    } catch (error) {
+      return "Webhook URL буруу байна";
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return "Webhook URL нь http(s) байх ёстой";
+    }
+    if (notificationService.isPrivateHost(url.hostname)) {
+      return "Webhook URL нь нийтийн хаяг байх ёстой (дотоод сүлжээ, localhost болохгүй)";
+    }
+  }
+  if (patch.quietHours) {
+    const { start, end } = patch.quietHours;
+    const cleared = !start && !end;
+    if (!cleared && !(TIME_PATTERN.test(start) && TIME_PATTERN.test(end))) {
+      return "Чимээгүй цаг HH:mm хэлбэртэй байх ёстой (жишээ нь 22:00)";
+    }
+  }
+  return null;
+}
+
+/**
+ * Settings as returned to the dashboard; the webhook secret never leaves the server
+ */
+function publicNotifications(notifications = {}) {
+  const { webhookSecret, ...rest } = notifications;
+  return { ...rest, hasWebhookSecret: Boolean(webhookSecret) };
+}
+
+/**
+ * Update where and when the owner is alerted about orders
+ * PATCH /api/stores/:id/notifications
+ */
+exports.updateNotifications = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!scopeStores(req, id)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Дэлгүүр олдсонгүй" });
+    }
+
+    const patch = {};
+    for (const field of NOTIFICATION_FIELDS) {
+      if (req.body[field] !== undefined) patch[field] = req.body[field];
+    }
+
+    const invalid = validateNotifications(patch);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const store = await Store.findById(id).select(
+      "+notifications.webhookSecret",
+    );
+    if (!store) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Дэлгүүр олдсонгүй" });
+    }
+
+    const before = publicNotifications(store.toObject().notifications);
+    for (const [field, value] of Object.entries(patch)) {
+      store.set(`notifications.${field}`, value || undefined);
+    }
+    await store.save();
+    const after = publicNotifications(store.toObject().notifications);
+
+    const changes = auditService.diff(before, after, Object.keys(after)) || {
+      before: {},
+      after: {},
+    };
+    // A rotated secret is recorded, but never its value
+    if (patch.webhookSecret !== undefined) {
+      changes.after.webhookSecret = patch.webhookSecret ? "[changed]" : null;
+    }
+    if (Object.keys(changes.after).length > 0) {
+      await auditService.record({
+        store: store._id,
+        entityType: "store",
+        entityId: store._id,
+        action: "store.notifications_updated",
+        actor: auditService.actorFromRequest(req),
+        ...changes,
+      });
+    }
+
+    return res.status(200).json({ success: true, data: after });
+  } catch (error) {
+    console.error("❌ Update Notifications Error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Send a test alert on every configured channel
+ * POST /api/stores/:id/notifications/test
+ */
+exports.testNotifications = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const store = scopeStores(req, id) ? await Store.findById(id) : null;
+    if (!store) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Дэлгүүр олдсонгүй" });
+    }
+
+    const results = await notificationService.sendTest(store);
+    return res.status(200).json({ success: true, data: results });
+  } catch (error) {
+    console.error("❌ Test Notifications Error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,5 +1,6 @@
 const googleSheetsService = require("../services/googleSheetsService");
 const { Store } = require("../models");
+const { scopeStores } = require("../middleware/auth");
 
 // Simple in-memory lock to prevent "Race Condition" and "DDoS" from bulk edits
 const syncLocks = new Map();
@@ -13,14 +14,15 @@ exports.syncProducts = async (req, res) => {
   try {
     const { storeId, sheetId } = req.body;
 
-    // 1. Find the store
-    let store;
-    if (storeId) {
-      store = await Store.findById(storeId);
-    } else {
-      // Fallback to first store for MVP/testing
-      store = await Store.findOne();
+    // 1. Find the store (defaults to one of the caller's stores)
+    const scope = scopeStores(req, storeId);
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this store",
+      });
     }
+    const store = await Store.findOne({ _id: scope });
 
     if (!store) {
       return res
@@ -28,6 +30,14 @@ exports.syncProducts = async (req, res) => {
         .json({ success: false, message: "Store not found" });
     }
 
+    // Syncing from a different sheet is a config change, so owners only
+    if (sheetId && req.storeRoles.get(store._id.toString()) !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the store owner can sync from another sheet",
+      });
+    }
+
     const targetSheetId = sheetId || store.googleSheetId;
 
     if (!targetSheetId) {
@@ -1,6 +1,16 @@
+const crypto = require("crypto");
 const messengerService = require("../services/messengerService");
 const aiService = require("../services/aiService");
-const googleSheetsService = require("../services/googleSheetsService");
+const eventQueueService = require("../services/eventQueueService");
+const orderService = require("../services/orderService");
+const catalogService = require("../services/catalogService");
+const cartService = require("../services/cartService");
+const customerService = require("../services/customerService");
+const contactService = require("../services/contactService");
+const realtimeService = require("../services/realtimeService");
+const auditService = require("../services/auditService");
+const visionService = require("../services/visionService");
+const paymentService = require("../services/paymentService");
 
 /**
  * Webhook Verification (GET request from Facebook)
@@ -32,84 +42,195 @@ exports.verifyWebhook = (req, res) => {
   }
 };
 
-const { Store, Product, Customer, Conversation, Order } = require("../models");
+const {
+  Store,
+  Product,
+  Customer,
+  Conversation,
+  Order,
+  ProcessedEvent,
+} = require("../models");
+
+// Promise chain per sender PSID so one customer's events run one at a time
+const senderQueues = new Map();
+
+/**
+ * Run a task after every earlier task queued for the same sender has settled
+ * @param {string} senderPsid - Facebook Page-Scoped ID of the sender
+ * @param {Function} task - Async function to run
+ * @returns {Promise} Resolves/rejects with the task's result
+ */
+function runForSender(senderPsid, task) {
+  const previous = senderQueues.get(senderPsid) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+
+  senderQueues.set(senderPsid, current);
+  const cleanup = () => {
+    if (senderQueues.get(senderPsid) === current) {
+      senderQueues.delete(senderPsid);
+    }
+  };
+  current.then(cleanup, cleanup);
+
+  return current;
+}
 
 /**
  * Handle Incoming Messages (POST request from Facebook)
- * This is called when a customer sends a message
+ * Events are written to the durable queue and processed by the worker,
+ * so a crash or a slow AI call can't lose a customer message
  */
 exports.handleWebhook = async (req, res) => {
   const body = req.body;
 
   if (body.object === "page") {
-    res.status(200).send("EVENT_RECEIVED");
+    // Flatten the batch first so events are queued in delivery order
+    const events = [];
+    (body.entry || []).forEach((entry) => {
+      (entry.messaging || []).forEach((webhookEvent) => {
+        if (isProcessableEvent(webhookEvent)) {
+          events.push({ pageId: entry.id, webhookEvent });
+        }
+      });
+    });
 
     try {
-      await Promise.all(
-        body.entry.map(async (entry) => {
-          const pageId = entry.id; // Correct way to get Page ID in webhook entries
-          const webhookEvent = entry.messaging[0];
-          const senderPsid = webhookEvent.sender.id;
-
-          console.log(
-            `📨 Message for Page: ${pageId} from Sender: ${senderPsid}`,
-          );
-
-          // 1. Find Store
-          let store = await Store.findOne({ facebookPageId: pageId });
-
-          // Seed a default store if none exists and we have env vars (Migration helper)
-          if (!store && pageId === process.env.FACEBOOK_PAGE_ID) {
-            store = new Store({
-              name: "Default Shop",
-              facebookPageId: process.env.FACEBOOK_PAGE_ID,
-              facebookPageToken: process.env.FACEBOOK_PAGE_ACCESS_TOKEN,
-              googleSheetId: process.env.GOOGLE_SHEET_ID,
-            });
-            await store.save();
-          }
-
-          if (!store) {
-            console.error(`❌ Store not found for Page ID: ${pageId}`);
-            return;
-          }
-
-          // 2. Load Catalog (Products)
-          const catalog = await Product.find({
-            store: store._id,
-            isActive: true,
-          });
-
-          // 3. Process Event
-          if (webhookEvent.message) {
-            await handleMessage(
-              senderPsid,
-              webhookEvent.message,
-              store,
-              catalog,
-            );
-          } else if (webhookEvent.postback) {
-            await handlePostback(
-              senderPsid,
-              webhookEvent.postback,
-              store,
-              catalog,
-            );
-          }
-        }),
-      );
+      await eventQueueService.enqueue(events);
+      res.status(200).send("EVENT_RECEIVED");
     } catch (error) {
-      console.error("❌ Error processing entries:", error);
+      // Not acknowledged, so Facebook will deliver it again
+      console.error("❌ Failed to queue webhook events:", error);
+      res.sendStatus(500);
     }
   } else {
     res.sendStatus(404);
   }
 };
 
+/**
+ * Worker handler for queued webhook events
+ * @param {object} job - WebhookJob document
+ * @param {object} options - { isLastAttempt }
+ */
+exports.processQueuedEvent = (job, options = {}) =>
+  runForSender(job.senderPsid, () =>
+    processEvent(job.pageId, job.event, { ...options, jobId: job._id }),
+  );
+
+/**
+ * Only customer messages and postbacks are processed
+ */
+function isProcessableEvent(webhookEvent) {
+  if (!webhookEvent.sender?.id) return false;
+  // Echoes of our own outgoing messages are not customer input
+  if (webhookEvent.message?.is_echo) return false;
+  return Boolean(webhookEvent.message || webhookEvent.postback);
+}
+
+/**
+ * Process a single messaging event for a page
+ * Throws on failure so the queue can retry it
+ * @param {string} pageId - Facebook Page ID the event was delivered for
+ * @param {object} webhookEvent - One item of entry.messaging
+ * @param {object} options - { isLastAttempt, jobId }
+ */
+async function processEvent(pageId, webhookEvent, options = {}) {
+  const senderPsid = webhookEvent.sender.id;
+
+  // Facebook retries deliveries - run each event at most once
+  const eventKey = getEventKey(webhookEvent);
+  if (
+    eventKey &&
+    !(await ProcessedEvent.claim(eventKey, {
+      pageId,
+      senderPsid,
+      jobId: options.jobId,
+    }))
+  ) {
+    console.log(`⏭️  Skipped duplicate event: ${eventKey}`);
+    return;
+  }
+
+  console.log(`📨 Message for Page: ${pageId} from Sender: ${senderPsid}`);
+
+  try {
+    // 1. Find Store
+    const store = await findStoreForPage(pageId);
+    if (!store) {
+      console.error(`❌ Store not found for Page ID: ${pageId}`);
+      return;
+    }
+
+    // 2. Load Catalog (Products)
+    const catalog = await Product.find({
+      store: store._id,
+      isActive: true,
+    });
+
+    // 3. Process Event
+    if (webhookEvent.message) {
+      await handleMessage(
+        senderPsid,
+        webhookEvent.message,
+        store,
+        catalog,
+        options,
+      );
+    } else if (webhookEvent.postback) {
+      await handlePostback(senderPsid, webhookEvent.postback, store, catalog);
+    }
+  } catch (error) {
+    // Let the retry run the event again
+    if (eventKey) await ProcessedEvent.release(eventKey);
+    throw error;
+  }
+}
+
+/**
+ * Build the idempotency key for a messaging event
+ * @returns {string|null} message mid, or postback timestamp + sender
+ */
+function getEventKey(webhookEvent) {
+  if (webhookEvent.message?.mid) {
+    return `mid:${webhookEvent.message.mid}`;
+  }
+  if (webhookEvent.postback && webhookEvent.timestamp) {
+    return `postback:${webhookEvent.sender.id}:${webhookEvent.timestamp}`;
+  }
+  return null;
+}
+
+/**
+ * Find the store connected to a Facebook Page
+ */
+async function findStoreForPage(pageId) {
+  let store = await Store.findOne({ facebookPageId: pageId });
+
+  // Seed a default store if none exists and we have env vars (Migration helper)
+  if (!store && pageId === process.env.FACEBOOK_PAGE_ID) {
+    store = new Store({
+      name: "Default Shop",
+      facebookPageId: process.env.FACEBOOK_PAGE_ID,
+      facebookPageToken: process.env.FACEBOOK_PAGE_ACCESS_TOKEN,
+      googleSheetId: process.env.GOOGLE_SHEET_ID,
+    });
+    await store.save();
+  }
+
+  return store;
+}
+
 /**
  * Handle incoming text messages
+ * @param {object} options - { isLastAttempt } from the event queue
  */
-async function handleMessage(senderPsid, receivedMessage, store, catalog) {
+async function handleMessage(
+  senderPsid,
+  receivedMessage,
+  store,
+  catalog,
+  options = {},
+) {
   try {
     let response;
 
@@ -121,21 +242,39 @@ async function handleMessage(senderPsid, receivedMessage, store, catalog) {
       const customer = await findOrCreateCustomer(senderPsid, store);
 
       // Find or create conversation
-      let conversation = await Conversation.findOne({
-        facebookConversationId: senderPsid,
-        customer: customer._id,
-      });
+      const conversation = await findOrCreateConversation(
+        senderPsid,
+        customer,
+        store,
+      );
 
-      if (!conversation) {
-        conversation = new Conversation({
-          customer: customer._id,
-          facebookConversationId: senderPsid,
-          currentIntent: "browsing",
+      // A retried event has already stored the customer's message
+      const storedIndex = conversation.messages.findIndex(
+        (m) => receivedMessage.mid && m.metadata?.mid === receivedMessage.mid,
+      );
+      const history =
+        storedIndex === -1
+          ? conversation.messages.slice(-5)
+          : conversation.messages.slice(0, storedIndex).slice(-5);
+      if (storedIndex === -1) {
+        await conversation.addMessage("customer", messageText, {
+          mid: receivedMessage.mid,
+        });
+        realtimeService.publish(store._id, "message.received", {
+          conversationId: conversation._id,
+          customerId: customer._id,
+          customerName: customer.name,
+          text: messageText,
+          botPaused: conversation.botPaused,
         });
       }
 
-      const history = conversation.messages.slice(-5);
-      await conversation.addMessage("customer", messageText);
+      // A human has taken over; they answer from the dashboard
+      if (conversation.botPaused) {
+        await conversation.save();
+        console.log(`⏸️  Bot paused for ${senderPsid}: message stored only`);
+        return;
+      }
 
       await messengerService.sendTypingIndicator(
         senderPsid,
@@ -143,143 +282,331 @@ async function handleMessage(senderPsid, receivedMessage, store, catalog) {
         store.facebookPageToken,
       );
 
-      // Process message with Unified AI and Store Catalog
-      const aiResult = await aiService.processMessage(
-        messageText,
-        history,
-        catalog,
-      );
+      // Process message with Unified AI, Store Catalog and the draft cart
+      // (answers to our own quick replies need no AI)
+      const quickReplyPayload = receivedMessage.quick_reply?.payload;
+      const aiResult =
+        savedContactAnswer(quickReplyPayload, customer) ||
+        cancelOrderAnswer(quickReplyPayload) ||
+        (await aiService.processMessage(
+          messageText,
+          history,
+          catalog,
+          conversation.getCart(),
+        ));
+
+      // Fail the job so the queue retries instead of answering with a fallback
+      if (aiResult.failed) {
+        throw new Error("AI processing failed");
+      }
 
       conversation.currentIntent = aiResult.intent || "browsing";
 
+      let cart = cartService.applyActions(
+        conversation.getCart() || cartService.emptyCart(),
+        aiResult.cartActions,
+      );
+
       if (
+        aiResult.intent === "complaint" &&
+        store.settings?.handoffOnComplaint !== false
+      ) {
+        conversation.pauseBot("complaint");
+        response = {
+          text: "🙏 Уучлаарай. Таны асуудлыг ажилтанд шилжүүллээ, удахгүй тантай холбогдоно.",
+        };
+        console.log(`🙋 Complaint from ${senderPsid}: handed to a human`);
+        realtimeService.publish(store._id, "conversation.needs_operator", {
+          conversationId: conversation._id,
+          customerId: customer._id,
+          customerName: customer.name,
+          reason: "complaint",
+          text: messageText,
+        });
+      } else if (aiResult.intent === "order_status") {
+        response = await orderStatusReply(customer, store);
+      } else if (
+        aiResult.intent === "order_cancel" ||
+        // "Cancel" with nothing in the cart means an order already placed
+        (aiResult.command === "cancel" && cart.items.length === 0)
+      ) {
+        response = await orderCancelReply(aiResult.cancel, customer, store);
+      } else if (aiResult.command === "cancel") {
+        cart = null;
+        response = {
+          text: "🗑️ Захиалгыг цуцаллаа. Өөр зүйл хэрэгтэй бол хэлээрэй.",
+        };
+        conversation.status = "active";
+      } else if (aiResult.command === "view_cart") {
+        response = { text: cartService.formatCart(cart, catalog) };
+      } else if (
         aiResult.intent === "ordering" &&
         aiResult.isOrderReady &&
-        aiResult.confidence > 0.6
+        aiResult.confidence > 0.6 &&
+        cartService.isComplete(cart)
       ) {
-        const orderData = {
-          store: store._id, // Linked to current store
-          customer: customer._id,
-          conversation: conversation._id,
-          phoneNumber: aiResult.data.phone || "99999999",
-          address: aiResult.data.full_address || "Хаяг тодорхойгүй",
-          items: aiResult.data.items.map((item) => ({
-            itemName: item.name || "Бараа",
-            quantity: item.quantity || 1,
-            price: item.price || 0,
-            attributes: item.attributes || {},
-          })),
-          totalAmount: 0,
-          aiExtraction: {
+        const { needsVariant } = catalogService.resolveItems(
+          cart.items,
+          catalog,
+        );
+
+        if (needsVariant.length > 0) {
+          // A product still needs its size/color picked; don't guess a SKU
+          response = {
+            text: catalogService.formatVariantQuestion(needsVariant),
+          };
+          conversation.status = "waiting_for_info";
+        } else {
+          // Nothing is created until the customer presses Confirm
+          cart.confirmation = {
+            id: crypto.randomBytes(8).toString("hex"),
             rawMessage: messageText,
             extractedData: aiResult.data,
             confidence: aiResult.confidence,
-            needsReview: !aiResult.data.phone || !aiResult.data.full_address,
-          },
-          status: "pending",
-        };
-
-        const order = new Order(orderData);
-        await order.save(); // This triggers the pre-save total calculation
-        console.log(`✅ Order created for ${store.name}: ${order._id}`);
-
-        // Inventory Update (Two-Way Sync)
-        for (const item of order.items) {
-          const product = await Product.findOne({
-            store: store._id,
-            name: item.itemName,
-          });
-          if (product) {
-            product.stock = Math.max(0, product.stock - item.quantity);
-            await product.save();
-
-            // Sync back to Google Sheets
-            googleSheetsService
-              .updateProductStock(
-                store.googleSheetId,
-                product.name,
-                product.stock,
-              )
-              .catch((err) =>
-                console.error(
-                  "❌ Sheets inventory update failed:",
-                  err.message,
-                ),
-              );
-          }
+            requestedAt: new Date(),
+          };
+          response = {
+            text: cartService.formatConfirmation(cart, catalog),
+            buttons: confirmationButtons(cart.confirmation.id),
+          };
+          conversation.status = "awaiting_confirmation";
         }
-
-        const populatedOrder = await Order.findById(order._id).populate(
-          "customer",
-        );
-        googleSheetsService
-          .appendOrder(populatedOrder, store.googleSheetId)
-          .catch((err) =>
-            console.error("❌ Google Sheets sync failed:", err.message),
-          );
-
-        // Pass the saved 'order' to generate a detailed confirmation
-        const replyText = await aiService.generateResponse(
-          aiResult,
-          messageText,
-          order,
-        );
-        response = { text: replyText };
-        conversation.status = "order_created";
+      } else if (shouldOfferSavedContact(aiResult, cart, customer)) {
+        const saved = customerService.savedContact(customer);
+        cart.savedContactOffered = true;
+        response = {
+          text: `Өмнөх хаяг руу илгээх үү?\n📍 ${saved.address}\n📞 ${saved.phone}`,
+          quickReplies: [
+            { title: "Тийм", payload: "USE_SAVED_CONTACT" },
+            { title: "Өөр хаяг", payload: "NEW_CONTACT" },
+          ],
+        };
+        conversation.status = "waiting_for_info";
       } else {
+        // Browsing customers also get a carousel of what is in stock
+        const cards = productCarousel(aiResult, catalog);
+
+        // Let the reply ask for whatever the cart is still missing
         const replyText = await aiService.generateResponse(
-          aiResult,
+          {
+            ...aiResult,
+            cart,
+            missingFields: cartService.missingFields(cart),
+            ...(cards && { productCards: cards.map((card) => card.title) }),
+          },
           messageText,
         );
-        response = { text: replyText };
+        response = { text: replyText, ...(cards && { cards }) };
 
-        if (aiResult.intent === "ordering" && !aiResult.isOrderReady) {
+        if (aiResult.intent === "ordering") {
           conversation.status = "waiting_for_info";
         }
       }
 
+      conversation.setCart(cart);
       await conversation.save();
-      await conversation.addMessage("bot", response.text);
+      await conversation.addMessage(
+        "bot",
+        response.text,
+        response.cards
+          ? { productCards: response.cards.map((c) => c.title) }
+          : {},
+      );
       await messengerService.sendTypingIndicator(
         senderPsid,
         false,
         store.facebookPageToken,
       );
-      await messengerService.sendMessage(
-        senderPsid,
-        response,
-        store.facebookPageToken,
-      );
+
+      // The event is fully handled at this point; retrying it could duplicate an order
+      try {
+        await sendReply(senderPsid, response, store);
+      } catch (sendError) {
+        console.error("❌ Reply could not be delivered:", sendError.message);
+      }
     } else if (receivedMessage.attachments) {
-      response = {
-        text: "📷 Зураг хүлээн авлаа! Захиалгын мэдээллээ текстээр илгээнэ үү.",
-      };
-      await messengerService.sendMessage(
-        senderPsid,
-        response,
-        store.facebookPageToken,
-      );
+      await handleAttachments(senderPsid, receivedMessage, store, catalog);
     }
   } catch (error) {
     console.error("❌ Error handling message:", error);
-    try {
-      await messengerService.sendMessage(
-        senderPsid,
-        {
-          text: "😔 Уучлаарай, алдаа гарлаа. Дахин оролдоно уу.",
-        },
-        store.facebookPageToken,
-      );
-    } catch (sendError) {}
+
+    // Only apologise once the queue has given up retrying
+    if (options.isLastAttempt) {
+      try {
+        await messengerService.sendMessage(
+          senderPsid,
+          {
+            text: "😔 Уучлаарай, алдаа гарлаа. Дахин оролдоно уу.",
+          },
+          store.facebookPageToken,
+        );
+      } catch (sendError) {}
+    }
+    throw error;
+  }
+}
+
+// Images read per message; customers sometimes send a whole album
+const MAX_IMAGES_PER_MESSAGE = 3;
+
+/**
+ * Handle images and other media
+ * Every attachment is stored on the conversation. Images go to visionService:
+ * product screenshots get matching product cards, and payment receipts are
+ * attached to the customer's latest pending order for an operator to check.
+ * While a human has taken over, media is only stored.
+ */
+async function handleAttachments(senderPsid, receivedMessage, store, catalog) {
+  const customer = await findOrCreateCustomer(senderPsid, store);
+  const conversation = await findOrCreateConversation(
+    senderPsid,
+    customer,
+    store,
+  );
+
+  // Stickers (the thumbs up) are images too, but nothing to read
+  const attachments = receivedMessage.attachments
+    .filter((a) => a.payload?.url && !a.payload.sticker_id)
+    .map((a) => ({ type: a.type, url: a.payload.url }));
+  const label = attachments.length
+    ? `[${attachments.map((a) => a.type).join(", ")}]`
+    : "[sticker]";
+
+  // A retried event has already stored the message; carry on with the rest
+  const alreadyStored =
+    Boolean(receivedMessage.mid) &&
+    conversation.messages.some((m) => m.metadata?.mid === receivedMessage.mid);
+  const storeMessage = async (stored) => {
+    if (alreadyStored) return;
+    await conversation.addMessage(
+      "customer",
+      label,
+      { mid: receivedMessage.mid },
+      stored,
+    );
+    realtimeService.publish(store._id, "message.received", {
+      conversationId: conversation._id,
+      customerId: customer._id,
+      customerName: customer.name,
+      text: label,
+      attachments: attachments.map((a) => ({ type: a.type, url: a.url })),
+      botPaused: conversation.botPaused,
+    });
+  };
+
+  // A human has taken over; they see the media in the dashboard
+  if (conversation.botPaused || attachments.length === 0) {
+    await storeMessage(attachments);
+    return;
+  }
+
+  const images = attachments
+    .filter((a) => a.type === "image")
+    .slice(0, MAX_IMAGES_PER_MESSAGE);
+  for (const image of images) {
+    const analysis = await visionService.analyzeImage(image.url, catalog);
+    image.kind = analysis.kind;
+    image.productNames = analysis.productNames;
+    image.receipt = analysis.receipt;
+  }
+  await storeMessage(attachments.map(({ receipt, ...stored }) => stored));
+
+  const receipts = images.filter((image) => image.kind === "receipt");
+  const productNames = images.flatMap((image) =>
+    image.kind === "product" ? image.productNames : [],
+  );
+
+  let response;
+  if (receipts.length > 0) {
+    response = await attachReceipts(receipts, customer, conversation, store);
+  } else if (productNames.length > 0) {
+    const products = catalogService.suggestProducts(productNames, catalog);
+    response =
+      products.length > 0
+        ? {
+            text: "📷 Энэ бараа уу? Захиалах бол доорх товчийг дарна уу.",
+            cards: catalogService.formatProductCards(products),
+          }
+        : {
+            text: `😔 ${productNames.join(", ")} одоогоор дууссан байна. Өөр бараа сонгох уу?`,
+          };
+  } else {
+    response = {
+      text: "📷 Зураг хүлээн авлаа! Захиалгын мэдээллээ текстээр илгээнэ үү.",
+    };
+  }
+
+  await conversation.addMessage(
+    "bot",
+    response.text,
+    response.cards ? { productCards: response.cards.map((c) => c.title) } : {},
+  );
+  try {
+    await sendReply(senderPsid, response, store);
+  } catch (sendError) {
+    console.error("❌ Reply could not be delivered:", sendError.message);
   }
 }
 
+/**
+ * Put receipt images on the customer's latest pending order
+ * Without a pending order the receipt is handed to an operator as is.
+ * @param {Array} receipts - Analysed images: { url, receipt }
+ * @returns {object} Reply for the customer
+ */
+async function attachReceipts(receipts, customer, conversation, store) {
+  const [order] = await Order.find({
+    customer: customer._id,
+    store: store._id,
+    status: "pending",
+  })
+    .sort({ createdAt: -1 })
+    .limit(1);
+
+  if (!order) {
+    realtimeService.publish(store._id, "conversation.needs_operator", {
+      conversationId: conversation._id,
+      customerId: customer._id,
+      customerName: customer.name,
+      reason: "payment_proof",
+      text: receipts.map((r) => r.url).join("\n"),
+    });
+    return {
+      text: "🧾 Баримтыг хүлээн авлаа. Төлбөр хүлээгдэж буй захиалга олдсонгүй тул ажилтан шалгаад тантай холбогдоно.",
+    };
+  }
+
+  const actor = auditService.customerActor(customer);
+  // A retried event may have attached some of them already
+  const attached = new Set(order.paymentProofs.map((proof) => proof.url));
+  for (const { url, receipt } of receipts) {
+    if (attached.has(url)) continue;
+    await orderService.addPaymentProof(
+      order,
+      {
+        url,
+        amount: Number(receipt?.amount) || undefined,
+        reference: receipt?.reference,
+        paidAt: receipt?.paidAt,
+      },
+      actor,
+    );
+  }
+  console.log(`🧾 Payment proof attached to order ${order._id}`);
+
+  return {
+    text: `🧾 Төлбөрийн баримтыг хүлээн авлаа (захиалга ₮${order.totalAmount}). Ажилтан шалгаад баталгаажуулна.`,
+  };
+}
+
 /**
  * Handle postback events
+ * Buttons carry an id after the colon: the cart confirmation id for
+ * "CONFIRM_ORDER:<id>" / "EDIT_ORDER:<id>", the product for "ORDER_PRODUCT:<id>"
  */
 async function handlePostback(senderPsid, receivedPostback, store, catalog) {
   try {
-    const payload = receivedPostback.payload;
+    const [payload, targetId] = receivedPostback.payload.split(":");
     let response;
 
     switch (payload) {
@@ -288,18 +615,462 @@ async function handlePostback(senderPsid, receivedPostback, store, catalog) {
           text: `👋 Тавтай морил! Би ${store.name}-ийн туслах бот байна.`,
         };
         break;
+      case "CONFIRM_ORDER":
+        response = await confirmCartOrder(senderPsid, targetId, store, catalog);
+        break;
+      case "EDIT_ORDER":
+        response = await reopenCart(senderPsid, targetId, store);
+        break;
+      case "ORDER_PRODUCT":
+        response = await startCartWithProduct(
+          senderPsid,
+          targetId,
+          store,
+          catalog,
+        );
+        break;
       default:
         response = { text: "Тодорхойгүй команд байна." };
     }
 
+    await sendReply(senderPsid, response, store);
+  } catch (error) {
+    console.error("❌ Error handling postback:", error);
+    // Let the queue retry or dead-letter it
+    throw error;
+  }
+}
+
+/**
+ * Create the order for a confirmed cart
+ * Stale buttons (cart changed since the summary, or already confirmed) create nothing,
+ * and a retried postback finds the order its first attempt already saved.
+ * @returns {object} Reply for the customer
+ */
+async function confirmCartOrder(senderPsid, confirmationId, store, catalog) {
+  const { customer, conversation, cart } = await findPendingCart(
+    senderPsid,
+    confirmationId,
+    store,
+  );
+  if (!cart) {
+    return {
+      text: 'Энэ захиалгын мэдээлэл өөрчлөгдсөн эсвэл аль хэдийн баталгаажсан байна. Сагсаа харах бол "сагс" гэж бичээрэй.',
+    };
+  }
+
+  const existingOrder = await Order.findOne({
+    store: store._id,
+    "aiExtraction.confirmationId": confirmationId,
+  });
+
+  // Prices come from the catalog, never from the AI
+  const { items, unmatched, needsVariant } = catalogService.resolveItems(
+    cart.items,
+    catalog,
+  );
+
+  let response;
+  if (existingOrder) {
+    response = { text: orderService.formatOrderConfirmation(existingOrder) };
+    conversation.setCart(null);
+    conversation.status = "order_created";
+    if (!conversation.orders.some((id) => id.equals(existingOrder._id))) {
+      conversation.orders.push(existingOrder._id);
+    }
+  } else if (needsVariant.length > 0) {
+    response = { text: catalogService.formatVariantQuestion(needsVariant) };
+    conversation.setCart({ ...cart, confirmation: null });
+    conversation.status = "waiting_for_info";
+  } else {
+    const reviewReasons = [];
+    if (unmatched.length > 0) reviewReasons.push("unmatched_items");
+
+    const orderData = {
+      customer: customer._id,
+      conversation: conversation._id,
+      phoneNumber: cart.phone,
+      address: cart.address,
+      addressDetails: contactService.parseAddress(cart.address),
+      items,
+      totalAmount: 0,
+      payment: {
+        method: paymentService.normalizeMethod(
+          cart.confirmation.extractedData?.payment_method,
+        ),
+      },
+      aiExtraction: {
+        rawMessage: cart.confirmation.rawMessage,
+        extractedData: { ...cart.confirmation.extractedData, cart },
+        confidence: cart.confirmation.confidence,
+        needsReview: reviewReasons.length > 0,
+        reviewReasons,
+        confirmationId,
+      },
+    };
+
+    // Stock is reserved atomically here; the AI's view of stock is not trusted
+    const { order, shortages } = await orderService.createOrder(
+      orderData,
+      store,
+    );
+
+    if (order) {
+      response = { text: orderService.formatOrderConfirmation(order) };
+      conversation.setCart(null);
+      conversation.status = "order_created";
+      conversation.orders.push(order._id);
+    } else {
+      response = { text: orderService.formatShortages(shortages) };
+      conversation.setCart({ ...cart, confirmation: null });
+      conversation.status = "waiting_for_info";
+    }
+  }
+
+  await conversation.addMessage("bot", response.text);
+  return response;
+}
+
+/**
+ * Customer pressed Edit: keep the cart, drop the pending confirmation
+ * @returns {object} Reply for the customer
+ */
+async function reopenCart(senderPsid, confirmationId, store) {
+  const { conversation, cart } = await findPendingCart(
+    senderPsid,
+    confirmationId,
+    store,
+  );
+  const response = {
+    text: "✏️ Юуг өөрчлөх вэ? Бараа, тоо ширхэг, утас эсвэл хаягаа бичээрэй.",
+  };
+  if (!cart) return response;
+
+  conversation.setCart({ ...cart, confirmation: null });
+  conversation.status = "waiting_for_info";
+  await conversation.addMessage("bot", response.text);
+  return response;
+}
+
+/**
+ * Customer pressed "Order" on a product card: put it in the cart
+ * Pressing it again for a product already in the cart adds nothing.
+ * @returns {object} Reply for the customer
+ */
+async function startCartWithProduct(senderPsid, productId, store, catalog) {
+  const product = catalog.find((p) => String(p._id) === productId);
+  if (!product || !(product.stock > 0)) {
+    return {
+      text: "😔 Уучлаарай, энэ бараа одоогоор дууссан байна. Өөр бараа сонгох уу?",
+    };
+  }
+
+  const customer = await findOrCreateCustomer(senderPsid, store);
+  const conversation = await findOrCreateConversation(
+    senderPsid,
+    customer,
+    store,
+  );
+
+  let cart = conversation.getCart() || cartService.emptyCart();
+  const inCart = cart.items.some(
+    (item) => catalogService.matchProduct(item.name, [product]) !== null,
+  );
+  if (!inCart) {
+    cart = cartService.applyActions(cart, [
+      { type: "add_item", name: product.name, quantity: 1 },
+    ]);
+  }
+
+  const { needsVariant } = catalogService.resolveItems(cart.items, catalog);
+  const missing = cartService.missingFields(cart);
+  let text = `🛒 ${product.name} (₮${product.price}) сагсанд нэмэгдлээ.`;
+  if (needsVariant.length > 0) {
+    text += `\n${catalogService.formatVariantQuestion(needsVariant)}`;
+  } else if (missing.length > 0) {
+    text += "\nТоо ширхэг, утасны дугаар, хүргэлтийн хаягаа бичнэ үү.";
+  } else {
+    text += '\nЗахиалгаа баталгаажуулах бол "захиалъя" гэж бичээрэй.';
+  }
+
+  // Back to shopping: a Confirm button sent earlier must not place this cart
+  conversation.setCart({ ...cart, confirmation: null });
+  conversation.currentIntent = "ordering";
+  conversation.status = "waiting_for_info";
+  await conversation.addMessage("bot", text, { productId: product._id });
+  return { text };
+}
+
+/**
+ * Conversation and cart a confirmation button belongs to
+ * `cart` is null when the button no longer matches the pending confirmation
+ */
+async function findPendingCart(senderPsid, confirmationId, store) {
+  const customer = await findOrCreateCustomer(senderPsid, store);
+  const conversation = await Conversation.findOne({
+    facebookConversationId: senderPsid,
+    customer: customer._id,
+  });
+  const cart = conversation?.getCart();
+  const isPending = confirmationId && cart?.confirmation?.id === confirmationId;
+
+  return { customer, conversation, cart: isPending ? cart : null };
+}
+
+/**
+ * Offer the returning customer's saved contact once per cart, when they start ordering
+ */
+function shouldOfferSavedContact(aiResult, cart, customer) {
+  return (
+    aiResult.intent === "ordering" &&
+    cart.items.length > 0 &&
+    !cart.phone &&
+    !cart.address &&
+    !cart.savedContactOffered &&
+    Boolean(customerService.savedContact(customer))
+  );
+}
+
+/**
+ * Turn a "same address?" quick reply into the result processMessage would give
+ * @returns {object|null} AI-shaped result, or null for any other message
+ */
+function savedContactAnswer(payload, customer) {
+  const saved = customerService.savedContact(customer);
+  if (payload === "USE_SAVED_CONTACT" && saved) {
+    return {
+      intent: "ordering",
+      isOrderReady: true,
+      confidence: 1,
+      command: "none",
+      cartActions: [
+        { type: "set_phone", value: saved.phone },
+        { type: "set_address", value: saved.address },
+      ],
+      data: {},
+    };
+  }
+  if (payload === "NEW_CONTACT" || payload === "USE_SAVED_CONTACT") {
+    return {
+      intent: "ordering",
+      isOrderReady: false,
+      confidence: 1,
+      command: "none",
+      cartActions: [],
+      data: {},
+      missingFields: ["phone", "full_address"],
+    };
+  }
+  return null;
+}
+
+/**
+ * Turn a "cancel this order?" quick reply into an AI-shaped result
+ * @returns {object|null} Result carrying `cancel: { orderId, confirmed }`, or null
+ */
+function cancelOrderAnswer(payload) {
+  const [action, orderId] = (payload || "").split(":");
+  if (!orderId || !["CANCEL_ORDER", "KEEP_ORDER"].includes(action)) {
+    return null;
+  }
+  return {
+    intent: "order_cancel",
+    isOrderReady: false,
+    confidence: 1,
+    command: "none",
+    cartActions: [],
+    data: {},
+    cancel: { orderId, confirmed: action === "CANCEL_ORDER" },
+  };
+}
+
+/**
+ * Status and tracking of the customer's latest orders
+ * @returns {object} Reply for the customer
+ */
+async function orderStatusReply(customer, store) {
+  const orders = await orderService.findRecentOrders(customer, store);
+  if (orders.length === 0) {
+    return { text: "Танд одоогоор захиалга алга байна." };
+  }
+
+  const summaries = orders.map((order) =>
+    orderService.formatOrderSummary(order, store.settings?.timezone),
+  );
+  return {
+    text: `Таны сүүлийн захиалгууд:
+
+${summaries.join("\n\n")}`,
+  };
+}
+
+/**
+ * Cancel a pending order through the chat
+ * The first request only asks; the order is cancelled when the customer
+ * presses "Yes" on the quick reply, and only if it is still pending.
+ * @param {object} cancel - { orderId, confirmed } from the quick reply, if any
+ * @returns {object} Reply for the customer
+ */
+async function orderCancelReply(cancel, customer, store) {
+  if (cancel && !cancel.confirmed) {
+    return { text: "👍 Захиалга тань хэвээр үлдлээ." };
+  }
+
+  const timezone = store.settings?.timezone;
+  if (cancel) {
+    const order = await Order.findOne({
+      _id: cancel.orderId,
+      customer: customer._id,
+      store: store._id,
+    });
+    if (!order || order.status !== "pending") {
+      return {
+        text: '😔 Энэ захиалгыг цуцлах боломжгүй байна. Ажилтантай холбогдох бол "ажилтан" гэж бичээрэй.',
+      };
+    }
+
+    const before = order.toObject();
+    const actor = auditService.customerActor(customer);
+    await orderService.cancelOrder(
+      order,
+      actor,
+      "Cancelled by the customer in chat",
+    );
+    await auditService.record({
+      store: store._id,
+      entityType: "order",
+      entityId: order._id,
+      action: "order.status_changed",
+      actor,
+      before: { status: before.status },
+      after: { status: order.status },
+    });
+    console.log(`🗑️  Order ${order._id} cancelled by customer ${customer._id}`);
+    return { text: "🗑️ Захиалга тань цуцлагдлаа." };
+  }
+
+  // Only orders nobody has started working on can be cancelled here
+  const [pending] = await Order.find({
+    customer: customer._id,
+    store: store._id,
+    status: "pending",
+  })
+    .sort({ createdAt: -1 })
+    .limit(1);
+  if (pending) {
+    return {
+      text: `${orderService.formatOrderSummary(pending, timezone)}
+
+Энэ захиалгыг цуцлах уу?`,
+      quickReplies: [
+        { title: "Тийм, цуцлах", payload: `CANCEL_ORDER:${pending._id}` },
+        { title: "Үгүй", payload: `KEEP_ORDER:${pending._id}` },
+      ],
+    };
+  }
+
+  const latest = (await orderService.findRecentOrders(customer, store)).find(
+    (order) => order.status !== "cancelled",
+  );
+  if (!latest) {
+    return { text: "Танд цуцлах захиалга алга байна." };
+  }
+  return {
+    text: `${orderService.formatOrderSummary(latest, timezone)}
+
+Энэ захиалга аль хэдийн боловсруулагдаж эхэлсэн тул чатаар цуцлах боломжгүй. Ажилтантай холбогдох бол "ажилтан" гэж бичээрэй.`,
+  };
+}
+
+/**
+ * Product cards for browsing and inquiry replies
+ * @returns {Array|null} Generic template elements, or null when there is nothing to show
+ */
+function productCarousel(aiResult, catalog) {
+  if (!["browsing", "inquiry"].includes(aiResult.intent)) return null;
+
+  const names = [
+    ...(aiResult.data?.suggested_items || []),
+    ...(aiResult.data?.alternative_items || []),
+  ];
+  // An inquiry about something we don't sell shouldn't show the whole catalog
+  if (aiResult.intent === "inquiry" && names.length === 0) return null;
+
+  const products = catalogService.suggestProducts(names, catalog);
+  return products.length > 0
+    ? catalogService.formatProductCards(products)
+    : null;
+}
+
+/**
+ * Confirm / Edit buttons for a cart summary
+ */
+function confirmationButtons(confirmationId) {
+  return [
+    { title: "✅ Баталгаажуулах", payload: `CONFIRM_ORDER:${confirmationId}` },
+    { title: "✏️ Засах", payload: `EDIT_ORDER:${confirmationId}` },
+  ];
+}
+
+/**
+ * Send a reply built by the handlers: plain text, text with buttons,
+ * quick replies, or text followed by a product carousel
+ */
+async function sendReply(senderPsid, response, store) {
+  if (response.cards) {
     await messengerService.sendMessage(
       senderPsid,
-      response,
+      { text: response.text },
+      store.facebookPageToken,
+    );
+    return messengerService.sendGenericTemplate(
+      senderPsid,
+      response.cards,
+      store.facebookPageToken,
+    );
+  }
+  if (response.quickReplies) {
+    return messengerService.sendQuickReply(
+      senderPsid,
+      response.text,
+      response.quickReplies,
+      store.facebookPageToken,
+    );
+  }
+  if (response.buttons) {
+    return messengerService.sendButtonTemplate(
+      senderPsid,
+      response.text,
+      response.buttons,
       store.facebookPageToken,
     );
-  } catch (error) {
-    console.error("❌ Error handling postback:", error);
   }
+  return messengerService.sendMessage(
+    senderPsid,
+    { text: response.text },
+    store.facebookPageToken,
+  );
+}
+
+/**
+ * The customer's conversation on this page, or a new unsaved one
+ */
+async function findOrCreateConversation(senderPsid, customer, store) {
+  const conversation =
+    (await Conversation.findOne({
+      facebookConversationId: senderPsid,
+      customer: customer._id,
+    })) ||
+    new Conversation({
+      customer: customer._id,
+      store: store._id,
+      facebookConversationId: senderPsid,
+      currentIntent: "browsing",
+    });
+
+  // Conversations from before stores were tracked
+  if (!conversation.store) conversation.store = store._id;
+  return conversation;
 }
 
 /**
@@ -316,9 +1087,14 @@ async function findOrCreateCustomer(facebookId, store) {
       );
       customer = new Customer({
         facebookId,
+        store: store._id,
         name: userInfo.name || "Unknown User",
       });
       await customer.save();
+    } else if (!customer.store) {
+      // Customers from before stores were tracked
+      customer.store = store._id;
+      await customer.save();
     }
     return customer;
   } catch (error) {
@@ -0,0 +1,100 @@
+const jwt = require("jsonwebtoken");
+const { User } = require("../models");
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+
+/**
+ * Issue a JWT for a user
+ * @param {object} user - User document
+ * @returns {string} Signed token
+ */
+exports.signToken = (user) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return jwt.sign(
+    { id: user._id.toString(), v: user.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN },
+  );
+};
+
+/**
+ * Require a valid Bearer token
+ * Sets req.user, req.storeIds (stores the caller belongs to) and req.storeRoles (storeId -> role)
+ */
+exports.protect = async (req, res, next) => {
+  try {
+    const header = req.get("authorization") || "";
+    // EventSource can't set headers, so event streams may pass ?token=
+    const isEventStream = req.get("accept") === "text/event-stream";
+    const token = header.startsWith("Bearer ")
+      ? header.slice(7)
+      : (isEventStream && req.query.token) || null;
+
+    if (!token) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Authentication required" });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid or expired token" });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive || user.tokenVersion !== decoded.v) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid or expired token" });
+    }
+
+    req.user = user;
+    req.storeRoles = new Map(
+      user.memberships.map((m) => [m.store.toString(), m.role]),
+    );
+    req.storeIds = [...req.storeRoles.keys()];
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Limit the request to stores where the caller holds one of the given roles
+ * Must run after protect; narrows req.storeIds so scoped queries only see those stores
+ * @param {...string} roles - Allowed roles, e.g. authorize("owner", "operator")
+ */
+exports.authorize =
+  (...roles) =>
+  (req, res, next) => {
+    req.storeIds = req.storeIds.filter((id) =>
+      roles.includes(req.storeRoles.get(id)),
+    );
+
+    if (req.storeIds.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Requires role: ${roles.join(" or ")}`,
+      });
+    }
+    next();
+  };
+
+/**
+ * Build a Mongo filter value for the `store` field of a query
+ * @param {object} req - Authenticated request
+ * @param {string} storeId - Optional store the caller asked for
+ * @returns {object|string|null} The requested id, all of the caller's stores, or null if not allowed
+ */
+exports.scopeStores = (req, storeId) => {
+  if (storeId) {
+    return req.storeIds.includes(String(storeId)) ? String(storeId) : null;
+  }
+  return { $in: req.storeIds };
+};
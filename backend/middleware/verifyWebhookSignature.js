@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+
+// In-memory counters so we can see when someone is probing the webhook URL
+const rejections = {
+  total: 0,
+  missing: 0,
+  invalid: 0,
+  lastRejectedAt: null,
+};
+
+/**
+ * Reject a delivery whose signature is missing or wrong
+ */
+function reject(req, res, reason) {
+  rejections.total += 1;
+  rejections[reason] += 1;
+  rejections.lastRejectedAt = new Date().toISOString();
+
+  console.warn(
+    `🚫 Webhook signature ${reason} from ${req.ip} (rejected so far: ${rejections.total})`,
+  );
+  return res.sendStatus(401);
+}
+
+/**
+ * Verify X-Hub-Signature-256 on incoming webhook deliveries
+ * Expects req.body to be the raw Buffer (see express.raw in server.js);
+ * on success it is replaced with the parsed JSON and the Buffer is kept on req.rawBody
+ */
+function verifyWebhookSignature(req, res, next) {
+  const appSecret = process.env.FACEBOOK_APP_SECRET;
+
+  if (!appSecret) {
+    console.error("❌ FACEBOOK_APP_SECRET is not set - rejecting webhook");
+    return res.sendStatus(500);
+  }
+
+  const signature = req.get("x-hub-signature-256");
+  if (!signature || !signature.startsWith("sha256=")) {
+    return reject(req, res, "missing");
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const expected = crypto
+    .createHmac("sha256", appSecret)
+    .update(rawBody)
+    .digest("hex");
+
+  const received = Buffer.from(signature.slice("sha256=".length), "utf8");
+  const computed = Buffer.from(expected, "utf8");
+
+  if (
+    received.length !== computed.length ||
+    !crypto.timingSafeEqual(received, computed)
+  ) {
+    return reject(req, res, "invalid");
+  }
+
+  try {
+    req.rawBody = rawBody;
+    req.body = JSON.parse(rawBody.toString("utf8"));
+  } catch (error) {
+    console.error("❌ Webhook body is not valid JSON:", error.message);
+    return res.sendStatus(400);
+  }
+
+  next();
+}
+
+/**
+ * Snapshot of rejected deliveries since the process started
+ */
+verifyWebhookSignature.getRejectionStats = () => ({ ...rejections });
+
+module.exports = verifyWebhookSignature;
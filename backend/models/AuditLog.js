@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      index: true,
+    },
+    entityType: {
+      type: String,
+      enum: ["order", "product", "store", "customer"],
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // e.g. "order.created", "order.status_changed", "product.stock_changed"
+    action: {
+      type: String,
+      required: true,
+    },
+    // Who made the change
+    actor: {
+      type: {
+        type: String,
+        enum: ["user", "bot", "system", "customer"],
+        required: true,
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      name: String,
+    },
+    // Only the fields that changed
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    note: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: 1 });
+
+// Append-only: entries can be created but never changed or removed
+const rejectMutation = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectMutation,
+);
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+module.exports = AuditLog;
@@ -17,6 +17,19 @@ const messageSchema = new mongoose.Schema({
   metadata: {
     type: mongoose.Schema.Types.Mixed,
   },
+  // Media the customer sent, with what visionService made of it
+  attachments: [
+    {
+      _id: false,
+      type: { type: String }, // image, video, file, ...
+      url: String,
+      kind: {
+        type: String,
+        enum: ['product', 'receipt', 'other'],
+      },
+      productNames: [String],
+    },
+  ],
 });
 
 const conversationSchema = new mongoose.Schema(
@@ -28,6 +41,12 @@ const conversationSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Store whose page the conversation happens on
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      index: true,
+    },
     // Facebook conversation ID
     facebookConversationId: {
       type: String,
@@ -40,13 +59,27 @@ const conversationSchema = new mongoose.Schema(
     // Conversation status
     status: {
       type: String,
-      enum: ['active', 'waiting_for_info', 'order_created', 'closed'],
+      enum: [
+        'active',
+        'waiting_for_info',
+        'awaiting_confirmation',
+        'order_created',
+        'closed',
+      ],
       default: 'active',
     },
     // Current intent detection
     currentIntent: {
       type: String,
-      enum: ['browsing', 'ordering', 'inquiry', 'complaint', 'other'],
+      enum: [
+        'browsing',
+        'ordering',
+        'inquiry',
+        'complaint',
+        'order_status',
+        'order_cancel',
+        'other',
+      ],
       default: 'browsing',
     },
     // Related orders
@@ -62,7 +95,29 @@ const conversationSchema = new mongoose.Schema(
       default: Date.now,
       index: true,
     },
-    // AI context for better conversation flow
+    // Human takeover: while paused, customer messages are stored but the bot stays silent
+    botPaused: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    handoff: {
+      reason: {
+        type: String,
+        enum: ['operator', 'operator_reply', 'complaint'],
+      },
+      startedAt: Date,
+      startedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      endedAt: Date,
+      endedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+    // AI context for better conversation flow; `cart` holds the draft order
     aiContext: {
       type: mongoose.Schema.Types.Mixed,
     },
@@ -73,14 +128,46 @@ const conversationSchema = new mongoose.Schema(
 );
 
 // Update last activity on message add
-conversationSchema.methods.addMessage = function (sender, text, metadata = {}) {
-  this.messages.push({ sender, text, metadata });
+conversationSchema.methods.addMessage = function (
+  sender,
+  text,
+  metadata = {},
+  attachments = []
+) {
+  this.messages.push({ sender, text, metadata, attachments });
   this.lastActivity = new Date();
   return this.save();
 };
 
+// Hand the conversation to a human; userId is unset for automatic handoffs
+conversationSchema.methods.pauseBot = function (reason, userId) {
+  this.botPaused = true;
+  this.handoff = { reason, startedAt: new Date(), startedBy: userId };
+};
+
+conversationSchema.methods.resumeBot = function (userId) {
+  this.botPaused = false;
+  this.handoff.endedAt = new Date();
+  this.handoff.endedBy = userId;
+};
+
+// Draft order built up over several messages
+conversationSchema.methods.getCart = function () {
+  return this.aiContext?.cart || null;
+};
+
+conversationSchema.methods.setCart = function (cart) {
+  this.aiContext = {
+    ...this.aiContext,
+    cart: cart ? { ...cart, updatedAt: new Date() } : null,
+  };
+  // Mixed paths are not change-tracked
+  this.markModified('aiContext');
+};
+
 // Index for active conversations
 conversationSchema.index({ status: 1, lastActivity: -1 });
+conversationSchema.index({ store: 1, lastActivity: -1 });
 
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
@@ -8,6 +8,12 @@ const customerSchema = new mongoose.Schema(
       unique: true,
       index: true,
     },
+    // Store whose page the customer messaged (PSIDs are page-scoped)
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      index: true,
+    },
     name: {
       type: String,
       required: true,
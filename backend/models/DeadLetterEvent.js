@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const deadLetterEventSchema = new mongoose.Schema(
+  {
+    pageId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    senderPsid: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // The job that exhausted its retries
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    failedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Replay bookkeeping
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    replayedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+deadLetterEventSchema.index({ failedAt: -1 });
+
+const DeadLetterEvent = mongoose.model(
+  "DeadLetterEvent",
+  deadLetterEventSchema,
+);
+module.exports = DeadLetterEvent;
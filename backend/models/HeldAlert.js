@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Alerts nobody collects within this long are dropped (e.g. the store was removed)
+const HELD_ALERT_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+/**
+ * Owner alert held back during the store's quiet hours
+ * Delivered on Messenger and email once quiet hours end.
+ */
+const heldAlertSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Store",
+    required: true,
+    index: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  heldAt: {
+    type: Date,
+    default: Date.now,
+    expires: HELD_ALERT_TTL_SECONDS,
+  },
+});
+
+const HeldAlert = mongoose.model("HeldAlert", heldAlertSchema);
+module.exports = HeldAlert;
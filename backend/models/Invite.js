@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const inviteSchema = new mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      required: true,
+      index: true,
+    },
+    // If set, only a user with this email can accept
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["owner", "operator", "viewer"],
+      default: "operator",
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    // Mongo removes the invite once it expires
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const Invite = mongoose.model("Invite", inviteSchema);
+module.exports = Invite;
@@ -1,15 +1,33 @@
 const mongoose = require("mongoose");
 
 const orderItemSchema = new mongoose.Schema({
+  // Catalog product this line was matched to (unset = unmatched, needs review)
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+  },
   itemName: {
     type: String,
     required: true,
   },
+  // Name as the AI extracted it from the chat
+  requestedName: {
+    type: String,
+  },
+  matchType: {
+    type: String,
+    enum: ["exact", "normalized", "fuzzy"],
+  },
+  // Product variant SKU; the chosen option values are in `attributes`
+  sku: {
+    type: String,
+  },
   quantity: {
     type: Number,
     required: true,
     min: 1,
   },
+  // Always taken from the catalog; unset until a human prices an unmatched line
   price: {
     type: Number,
     min: 0,
@@ -25,6 +43,87 @@ const orderItemSchema = new mongoose.Schema({
   },
 });
 
+const PAYMENT_METHODS = [
+  "bank_transfer",
+  "qpay",
+  "cash_on_delivery",
+  "card",
+  "other",
+];
+
+// One incoming payment; externalId keeps imports and callbacks from counting twice
+const paymentTransactionSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "qpay", "bank_csv"],
+      required: true,
+    },
+    // Bank transaction id, QPay payment_id, ...
+    externalId: {
+      type: String,
+    },
+    reference: {
+      type: String,
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: false },
+);
+
+// Legal status changes; cancellation is only possible before shipping
+const STATUS_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Same shape as the audit log actor
+    actor: {
+      type: {
+        type: String,
+        enum: ["user", "bot", "system", "customer"],
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      name: String,
+    },
+    note: {
+      type: String,
+    },
+  },
+  { _id: false },
+);
+
 const orderSchema = new mongoose.Schema(
   {
     // Customer reference
@@ -51,20 +150,22 @@ const orderSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
-    // Order status
+    // `address` parsed by contactService.parseAddress, for delivery zones
+    addressDetails: {
+      district: String,
+      khoroo: Number,
+      building: String,
+      apartment: String,
+      landmark: String,
+    },
+    // Order status (change it through order.transitionTo)
     status: {
       type: String,
-      enum: [
-        "pending",
-        "confirmed",
-        "processing",
-        "shipped",
-        "delivered",
-        "cancelled",
-      ],
+      enum: Object.keys(STATUS_TRANSITIONS),
       default: "pending",
       index: true,
     },
+    statusHistory: [statusChangeSchema],
     // Financial information
     totalAmount: {
       type: Number,
@@ -89,6 +190,12 @@ const orderSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Why the bot flagged it, e.g. "unmatched_items", "payment_proof"
+      reviewReasons: [String],
+      // The cart confirmation the customer pressed; one order per confirmation
+      confirmationId: {
+        type: String,
+      },
     },
     // Human verification
     verifiedBy: {
@@ -106,6 +213,76 @@ const orderSchema = new mongoose.Schema(
     notes: {
       type: String,
     },
+    // Payment state; change it through paymentService.recordPayment
+    payment: {
+      method: {
+        type: String,
+        enum: PAYMENT_METHODS,
+        default: "bank_transfer",
+      },
+      // Follows totalAmount
+      amountDue: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      amountPaid: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      status: {
+        type: String,
+        enum: ["unpaid", "partial", "paid"],
+        default: "unpaid",
+      },
+      // Latest payment reference (transfer description, QPay payment id, ...)
+      reference: {
+        type: String,
+      },
+      paidAt: {
+        type: Date,
+      },
+      transactions: [paymentTransactionSchema],
+      // Open provider invoice, e.g. a QPay QR
+      invoice: {
+        provider: String,
+        invoiceId: String,
+        qrText: String,
+        qrImage: String,
+        url: String,
+        createdAt: Date,
+      },
+    },
+    // Receipts the customer sent in chat; an operator checks them against the bank
+    paymentProofs: [
+      {
+        _id: false,
+        url: { type: String, required: true },
+        receivedAt: { type: Date, default: Date.now },
+        // As read from the image by visionService, unverified
+        amount: Number,
+        reference: String,
+        paidAt: String,
+      },
+    ],
+    // Stock reserveStock actually took; exactly this goes back on release.
+    // Unset on orders from before reservations were recorded.
+    reservedItems: {
+      type: [
+        {
+          _id: false,
+          product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+          sku: String,
+          quantity: Number,
+        },
+      ],
+      default: undefined,
+    },
+    // Set once reserved stock has been put back (cancel/delete)
+    stockReleasedAt: {
+      type: Date,
+    },
     // Delivery tracking
     deliveryTracking: {
       carrier: String,
@@ -123,12 +300,64 @@ orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ "aiExtraction.needsReview": 1 });
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ phoneNumber: 1 }); // Keeping only one if it was duplicated
+orderSchema.index({ store: 1, "addressDetails.district": 1 });
+orderSchema.index({ store: 1, "payment.status": 1 });
+orderSchema.index({ "payment.transactions.externalId": 1 }, { sparse: true });
+orderSchema.index({ "payment.invoice.invoiceId": 1 }, { sparse: true });
+orderSchema.index(
+  { "aiExtraction.confirmationId": 1 },
+  { unique: true, sparse: true },
+);
+
+/**
+ * Move the order to a new status, recording when and by whom
+ * @param {string} status - Target status
+ * @param {object} actor - { type, user, name }
+ * @param {string} note - Optional reason
+ * @throws {Error} with status 409 and allowedTransitions when the move is illegal
+ */
+orderSchema.methods.transitionTo = function (status, actor, note) {
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+
+  if (!allowed.includes(status)) {
+    const error = new Error(
+      `Cannot change order status from '${this.status}' to '${status}'. Allowed: ${allowed.join(", ") || "none"}`,
+    );
+    error.status = 409;
+    error.currentStatus = this.status;
+    error.allowedTransitions = allowed;
+    throw error;
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, actor, note });
+  this.status = status;
+  this.$locals.statusTransition = true;
+  return this;
+};
+
+// Status may only change through transitionTo, so every move is validated and recorded
+orderSchema.pre("save", function (next) {
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ to: this.status });
+    }
+  } else if (this.isModified("status") && !this.$locals.statusTransition) {
+    return next(new Error("Order status must be changed with transitionTo"));
+  }
+  this.$locals.statusTransition = false;
+  next();
+});
 
 // Calculate total before saving
 orderSchema.pre("save", function (next) {
   if (this.items && this.items.length > 0) {
     this.totalAmount = this.items.reduce((total, item) => {
-      const subtotal = (item.price || 0) * item.quantity;
+      // Unpriced (unmatched) lines don't count until someone prices them
+      if (item.price == null) {
+        item.subtotal = undefined;
+        return total;
+      }
+      const subtotal = item.price * item.quantity;
       item.subtotal = subtotal;
       return total + subtotal;
     }, 0);
@@ -136,6 +365,34 @@ orderSchema.pre("save", function (next) {
   next();
 });
 
+// Keep the amount due and payment status in line with the total
+// paymentService.recordPayment applies the same rule in its own update
+orderSchema.pre("save", function (next) {
+  const payment = this.payment;
+  payment.amountDue = this.totalAmount;
+  if (payment.amountPaid <= 0) {
+    payment.status = "unpaid";
+  } else if (
+    payment.amountPaid < payment.amountDue ||
+    !payment.amountDue ||
+    this.items.some((item) => item.price == null)
+  ) {
+    // An order with unpriced lines can't be settled yet
+    payment.status = "partial";
+  } else {
+    payment.status = "paid";
+  }
+  // When the last transaction settled it
+  if (payment.status !== "paid") {
+    payment.paidAt = undefined;
+  } else if (!payment.paidAt) {
+    payment.paidAt = payment.transactions.at(-1)?.paidAt || new Date();
+  }
+  next();
+});
+
 const Order = mongoose.model("Order", orderSchema);
+Order.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Order.PAYMENT_METHODS = PAYMENT_METHODS;
 
 module.exports = Order;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// How long a processed webhook event is remembered (Facebook retries within hours)
+const PROCESSED_EVENT_TTL_SECONDS =
+  parseInt(process.env.WEBHOOK_DEDUPE_TTL_SECONDS) || 3 * 24 * 60 * 60; // 3 days
+
+const processedEventSchema = new mongoose.Schema({
+  // message.mid, or postback timestamp + sender
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  pageId: {
+    type: String,
+  },
+  senderPsid: {
+    type: String,
+  },
+  // The queue job that claimed the key; it may claim it again after a crash
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now,
+    expires: PROCESSED_EVENT_TTL_SECONDS,
+  },
+});
+
+/**
+ * Atomically claim an event key
+ * @param {string} key - Event key
+ * @param {object} details - { pageId, senderPsid, jobId }
+ * @returns {boolean} true if the key is new, or already held by details.jobId
+ */
+processedEventSchema.statics.claim = async function (key, details = {}) {
+  try {
+    await this.create({ key, ...details });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // A job recovered after a crash still owns the key it claimed
+    return Boolean(
+      details.jobId && (await this.exists({ key, jobId: details.jobId })),
+    );
+  }
+};
+
+/**
+ * Forget a claimed key so a failed event can be retried
+ */
+processedEventSchema.statics.release = function (key) {
+  return this.deleteOne({ key });
+};
+
+const ProcessedEvent = mongoose.model("ProcessedEvent", processedEventSchema);
+module.exports = ProcessedEvent;
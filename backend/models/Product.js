@@ -1,5 +1,32 @@
 const mongoose = require("mongoose");
 
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Option name -> value, e.g. { Хэмжээ: "XL", Өнгө: "Хар" }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  stock: {
+    type: Number,
+    default: 0,
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
 const productSchema = new mongoose.Schema(
   {
     store: {
@@ -28,12 +55,16 @@ const productSchema = new mongoose.Schema(
     category: {
       type: String,
     },
-    variants: [
+    // Variant dimensions the customer must choose, e.g. { name: "Хэмжээ", values: ["L", "XL"] }
+    options: [
       {
-        name: String, // e.g., "Size", "Color"
-        options: [String], // e.g., ["L", "XL"], ["Red", "Black"]
+        _id: false,
+        name: String,
+        values: [String],
       },
     ],
+    // Sellable SKUs; when present, `stock` is the sum of variant stock
+    variants: [variantSchema],
     isActive: {
       type: Boolean,
       default: true,
@@ -47,6 +78,18 @@ const productSchema = new mongoose.Schema(
 
 // Search index
 productSchema.index({ name: "text", description: "text" });
+productSchema.index({ store: 1, "variants.sku": 1 });
+
+// Keep total stock in line with variant stock
+productSchema.pre("save", function (next) {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce(
+      (sum, v) => sum + (v.isActive ? Math.max(0, v.stock) : 0),
+      0,
+    );
+  }
+  next();
+});
 
 const Product = mongoose.model("Product", productSchema);
 module.exports = Product;
@@ -37,6 +37,28 @@ const storeSchema = new mongoose.Schema(
     settings: {
       currency: { type: String, default: "MNT" },
       timezone: { type: String, default: "Asia/Ulaanbaatar" },
+      // Pause the bot and hand complaints to a human
+      handoffOnComplaint: { type: Boolean, default: true },
+    },
+    // Owner alerts for new orders (see notificationService)
+    notifications: {
+      // Which orders to announce
+      notifyOn: {
+        type: String,
+        enum: ["all", "needs_review", "none"],
+        default: "all",
+      },
+      // PSID of an admin who has messaged the page
+      messengerAdminPsid: { type: String },
+      email: { type: String, lowercase: true, trim: true },
+      webhookUrl: { type: String },
+      // HMAC-SHA256 key for the X-Signature-256 header on webhook calls
+      webhookSecret: { type: String, select: false },
+      // "HH:mm" in settings.timezone; Messenger and email alerts wait until they end
+      quietHours: {
+        start: { type: String },
+        end: { type: String },
+      },
     },
     isActive: {
       type: Boolean,
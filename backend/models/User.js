@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+// Roles a user can hold in a store, from most to least privileged
+const STORE_ROLES = ["owner", "operator", "viewer"];
+
+const membershipSchema = new mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: STORE_ROLES,
+      default: "viewer",
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+const userSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Invalid email address"],
+    },
+    password: {
+      type: String,
+      required: true,
+      minlength: 8,
+      select: false,
+    },
+    // Stores this user belongs to, with their role in each
+    memberships: [membershipSchema],
+    // Bumped on logout so previously issued tokens stop working
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+userSchema.index({ "memberships.store": 1 });
+
+// Hash password before saving
+userSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+  this.password = await bcrypt.hash(this.password, 12);
+  next();
+});
+
+userSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Role in a store, or null if the user is not a member
+ */
+userSchema.methods.roleIn = function (storeId) {
+  const membership = this.memberships.find(
+    (m) => m.store.toString() === String(storeId),
+  );
+  return membership ? membership.role : null;
+};
+
+// Never send the password hash to clients
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    return ret;
+  },
+});
+
+const User = mongoose.model("User", userSchema);
+User.STORE_ROLES = STORE_ROLES;
+module.exports = User;
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const webhookJobSchema = new mongoose.Schema(
+  {
+    // Facebook Page the event was delivered for
+    pageId: {
+      type: String,
+      required: true,
+    },
+    senderPsid: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // One item of entry.messaging, stored as received
+    event: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // Earliest time the worker may pick this job up (used for backoff)
+    nextRunAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    // Completed jobs are kept for a week for debugging, then removed
+    completedAt: {
+      type: Date,
+      expires: 7 * 24 * 60 * 60,
+    },
+    // Set when the job was re-queued from the dead-letter collection
+    replayedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeadLetterEvent",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Worker claims the oldest due job first
+webhookJobSchema.index({ status: 1, nextRunAt: 1 });
+// Stale lock recovery after a crash
+webhookJobSchema.index({ status: 1, lockedAt: 1 });
+// Per-sender ordering: does the sender have an earlier unfinished job?
+webhookJobSchema.index({ senderPsid: 1, status: 1, _id: 1 });
+
+const WebhookJob = mongoose.model("WebhookJob", webhookJobSchema);
+module.exports = WebhookJob;
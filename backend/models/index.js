@@ -3,6 +3,13 @@ const Order = require("./Order");
 const Conversation = require("./Conversation");
 const Store = require("./Store");
 const Product = require("./Product");
+const ProcessedEvent = require("./ProcessedEvent");
+const WebhookJob = require("./WebhookJob");
+const DeadLetterEvent = require("./DeadLetterEvent");
+const User = require("./User");
+const Invite = require("./Invite");
+const AuditLog = require("./AuditLog");
+const HeldAlert = require("./HeldAlert");
 
 module.exports = {
   Customer,
@@ -10,4 +17,11 @@ module.exports = {
   Conversation,
   Store,
   Product,
+  ProcessedEvent,
+  WebhookJob,
+  DeadLetterEvent,
+  User,
+  Invite,
+  AuditLog,
+  HeldAlert,
 };
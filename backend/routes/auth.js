@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const authController = require("../controllers/authController");
+const { protect } = require("../middleware/auth");
+
+// All routes here are prefixed with /api/auth in server.js
+
+router.post("/register", authController.register);
+router.post("/login", authController.login);
+router.post("/logout", protect, authController.logout);
+router.get("/me", protect, authController.me);
+router.post("/invites/:token/accept", protect, authController.acceptInvite);
+
+module.exports = router;
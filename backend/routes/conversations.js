@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const conversationController = require("../controllers/conversationController");
+const { protect, authorize } = require("../middleware/auth");
+
+// All routes here are prefixed with /api/conversations in server.js
+
+router.use(protect);
+
+router.get("/", conversationController.getAllConversations);
+router.get("/:id", conversationController.getConversationById);
+router.post(
+  "/:id/pause",
+  authorize("owner", "operator"),
+  conversationController.pauseBot,
+);
+router.post(
+  "/:id/resume",
+  authorize("owner", "operator"),
+  conversationController.resumeBot,
+);
+router.post(
+  "/:id/messages",
+  authorize("owner", "operator"),
+  conversationController.sendAdminMessage,
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const customerController = require("../controllers/customerController");
+const { protect, authorize } = require("../middleware/auth");
+
+// All routes here are prefixed with /api/customers in server.js
+
+router.use(protect);
+
+router.get("/", customerController.getAllCustomers);
+router.get("/:id", customerController.getCustomerById);
+router.get("/:id/orders", customerController.getCustomerOrders);
+router.patch(
+  "/:id",
+  authorize("owner", "operator"),
+  customerController.updateCustomer,
+);
+
+module.exports = router;
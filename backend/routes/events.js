@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const eventController = require("../controllers/eventController");
+const { protect, authorize } = require("../middleware/auth");
+
+// All routes here are prefixed with /api/events in server.js
+
+router.use(protect, authorize("owner", "operator"));
+
+/**
+ * GET /api/events/failed
+ * List webhook events moved to the dead-letter collection
+ */
+router.get("/failed", eventController.getFailedEvents);
+
+/**
+ * POST /api/events/failed/:id/replay
+ * Re-queue a dead-lettered event for processing
+ */
+router.post("/failed/:id/replay", eventController.replayFailedEvent);
+
+module.exports = router;
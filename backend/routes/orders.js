@@ -1,13 +1,36 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../controllers/orderController");
+const paymentController = require("../controllers/paymentController");
+const { protect, authorize } = require("../middleware/auth");
 
 // All routes here are prefixed with /api/orders in server.js
 
+router.use(protect);
+
 router.get("/", orderController.getAllOrders);
 router.get("/:id", orderController.getOrderById);
-router.patch("/:id/status", orderController.updateOrderStatus);
-router.patch("/:id/verify", orderController.verifyOrder);
-router.delete("/:id", orderController.deleteOrder);
+router.get("/:id/history", orderController.getOrderHistory);
+router.patch(
+  "/:id/status",
+  authorize("owner", "operator"),
+  orderController.updateOrderStatus,
+);
+router.patch(
+  "/:id/verify",
+  authorize("owner", "operator"),
+  orderController.verifyOrder,
+);
+router.post(
+  "/:id/mark-paid",
+  authorize("owner", "operator"),
+  paymentController.markPaid,
+);
+router.post(
+  "/:id/invoice",
+  authorize("owner", "operator"),
+  paymentController.createInvoice,
+);
+router.delete("/:id", authorize("owner"), orderController.deleteOrder);
 
 module.exports = router;
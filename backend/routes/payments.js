@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const paymentController = require("../controllers/paymentController");
+const { protect, authorize } = require("../middleware/auth");
+
+// All routes here are prefixed with /api/payments in server.js
+
+/**
+ * GET|POST /api/payments/:provider/callback?order=<orderId>
+ * Called by the payment provider; checked against the provider's API, so no auth
+ */
+router.all("/:provider/callback", paymentController.providerCallback);
+
+router.use(protect);
+
+/**
+ * POST /api/payments/bank-statement?storeId=<id>
+ * Reconcile a bank statement CSV against unpaid orders
+ */
+router.post(
+  "/bank-statement",
+  authorize("owner"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  paymentController.importBankStatement,
+);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const realtimeController = require("../controllers/realtimeController");
+const { protect } = require("../middleware/auth");
+
+// All routes here are prefixed with /api/realtime in server.js
+
+/**
+ * GET /api/realtime
+ * Server-Sent Events stream; EventSource clients pass ?token= instead of a header
+ */
+router.get("/", protect, realtimeController.stream);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const statsController = require("../controllers/statsController");
+const { protect } = require("../middleware/auth");
+
+router.use(protect);
 
 /**
  * GET /api/stats
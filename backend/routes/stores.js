@@ -1,11 +1,71 @@
 const express = require("express");
 const router = express.Router();
 const storeController = require("../controllers/storeController");
+const memberController = require("../controllers/memberController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
 
 /**
  * POST /api/stores/:id/configure-sheet
  * Set Google Sheet URL for a specific store
  */
-router.post("/:id/configure-sheet", storeController.configureSheet);
+router.post(
+  "/:id/configure-sheet",
+  authorize("owner"),
+  storeController.configureSheet,
+);
+
+/**
+ * PATCH /api/stores/:id/notifications
+ * Configure owner alerts (Messenger, email, webhook, quiet hours)
+ */
+router.patch(
+  "/:id/notifications",
+  authorize("owner"),
+  storeController.updateNotifications,
+);
+
+/**
+ * POST /api/stores/:id/notifications/test
+ * Send a test alert on every configured channel
+ */
+router.post(
+  "/:id/notifications/test",
+  authorize("owner"),
+  storeController.testNotifications,
+);
+
+/**
+ * GET /api/stores/:id/members
+ * List staff and open invites
+ */
+router.get("/:id/members", authorize("owner"), memberController.getMembers);
+
+/**
+ * POST /api/stores/:id/invites
+ * Add staff by email, or create an invite token
+ */
+router.post("/:id/invites", authorize("owner"), memberController.inviteMember);
+
+/**
+ * PATCH /api/stores/:id/members/:userId
+ * Change a member's role
+ */
+router.patch(
+  "/:id/members/:userId",
+  authorize("owner"),
+  memberController.updateMemberRole,
+);
+
+/**
+ * DELETE /api/stores/:id/members/:userId
+ * Remove a member from the store
+ */
+router.delete(
+  "/:id/members/:userId",
+  authorize("owner"),
+  memberController.removeMember,
+);
 
 module.exports = router;
@@ -1,11 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const syncController = require("../controllers/syncController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
 
 /**
  * POST /api/sync/products
  * Manually trigger product synchronization from Google Sheets
  */
-router.post("/products", syncController.syncProducts);
+router.post(
+  "/products",
+  authorize("owner", "operator"),
+  syncController.syncProducts,
+);
 
 module.exports = router;
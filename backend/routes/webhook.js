@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const verifyWebhookSignature = require('../middleware/verifyWebhookSignature');
 
 /**
  * GET /api/webhook
@@ -13,7 +14,8 @@ router.get('/', webhookController.verifyWebhook);
  * POST /api/webhook
  * Webhook event handler
  * Facebook will send messages and events to this endpoint
+ * Every delivery must carry a valid X-Hub-Signature-256 header
  */
-router.post('/', webhookController.handleWebhook);
+router.post('/', verifyWebhookSignature, webhookController.handleWebhook);
 
 module.exports = router;
@@ -4,13 +4,22 @@ const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const connectDB = require("./config/database");
+const verifyWebhookSignature = require("./middleware/verifyWebhookSignature");
+const eventQueueService = require("./services/eventQueueService");
+const webhookController = require("./controllers/webhookController");
+const realtimeService = require("./services/realtimeService");
+const notificationService = require("./services/notificationService");
 
 // Initialize Express app
 const app = express();
 app.set("trust proxy", 1);
 
-// Connect to Database
-connectDB();
+// Connect to Database, then start processing queued webhook events
+// and delivering alerts held during quiet hours
+connectDB().then(() => {
+  eventQueueService.start(webhookController.processQueuedEvent);
+  notificationService.startHeldAlertDelivery();
+});
 
 // Security Middleware
 app.use(helmet());
@@ -25,6 +34,8 @@ const limiter = rateLimit({
 app.use("/api/", limiter);
 
 // Body Parser Middleware
+// The webhook keeps its raw body so the X-Hub-Signature-256 HMAC can be checked
+app.use("/api/webhook", express.raw({ type: "application/json" }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -34,16 +45,23 @@ app.get("/health", (req, res) => {
     status: "OK",
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    webhookSignatureRejections: verifyWebhookSignature.getRejectionStats(),
+    realtimeClients: realtimeService.clients,
   });
 });
 
 // API Routes
 app.use("/api/webhook", require("./routes/webhook"));
+app.use("/api/auth", require("./routes/auth"));
 app.use("/api/orders", require("./routes/orders"));
 app.use("/api/sync", require("./routes/sync"));
 app.use("/api/stores", require("./routes/stores"));
 app.use("/api/stats", require("./routes/stats"));
-// app.use('/api/customers', require('./routes/customers'));
+app.use("/api/events", require("./routes/events"));
+app.use("/api/customers", require("./routes/customers"));
+app.use("/api/conversations", require("./routes/conversations"));
+app.use("/api/realtime", require("./routes/realtime"));
+app.use("/api/payments", require("./routes/payments"));
 
 // Root endpoint
 app.get("/", (req, res) => {
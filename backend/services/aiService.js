@@ -1,18 +1,39 @@
 const OpenAI = require("openai");
+const contactService = require("./contactService");
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
+/**
+ * One catalog line for the prompt, listing variant options when the product has them
+ * e.g. "- Хар цамц: ₮35000 (Үлдэгдэл: 3) [Сонголт: Хэмжээ: L/XL]"
+ */
+function formatCatalogLine(product) {
+  const line = `- ${product.name}: ₮${product.price} (Үлдэгдэл: ${product.stock})`;
+  if (!product.options?.length) return line;
+
+  const options = product.options
+    .map((option) => `${option.name}: ${option.values.join("/")}`)
+    .join("; ");
+  return `${line} [Сонголт: ${options}]`;
+}
+
 /**
  * Unified AI service to process text messages
  * Detects intent, extracts order info, and generates response context in one call
  * @param {string} messageText - Customer's message
  * @param {Array} history - Brief conversation history for context
  * @param {Array} catalog - Available products for this store
- * @returns {object} Extracted data and response logic
+ * @param {object} cart - Draft order collected in earlier messages
+ * @returns {object} Extracted data, cart actions and response logic
  */
-exports.processMessage = async (messageText, history = [], catalog = []) => {
+exports.processMessage = async (
+  messageText,
+  history = [],
+  catalog = [],
+  cart = null,
+) => {
   try {
     const formattedHistory = history
       .map((h) => `${h.sender === "customer" ? "User" : "Bot"}: ${h.text}`)
@@ -20,41 +41,66 @@ exports.processMessage = async (messageText, history = [], catalog = []) => {
 
     const catalogContext =
       catalog.length > 0
-        ? `ДЭЛГҮҮРИЙН БАРААНЫ ЖАГСААЛТ:\n${catalog.map((p) => `- ${p.name}: ₮${p.price} (Үлдэгдэл: ${p.stock})`).join("\n")}`
+        ? `ДЭЛГҮҮРИЙН БАРААНЫ ЖАГСААЛТ:\n${catalog.map(formatCatalogLine).join("\n")}`
         : "АНХААР: Одоогоор дэлгүүрт бэлэн бараа байхгүй байна. Хэрэглэгчид удахгүй шинэ бараа ирнэ гэж эелдэгээр хэлээрэй.";
 
+    const cartContext = `ОДООГИЙН САГС (өмнөх мессежүүдээс цуглуулсан):\n${JSON.stringify(
+      cart || { items: [], phone: null, address: null },
+    )}`;
+
     const systemPrompt = `Чи бол Монголын онлайн дэлгүүрийн ухаалаг туслах бот.
 ҮҮРЭГ: Хэрэглэгчийн мессежнээс зорилго болон захиалгын мэдээллийг задлан шинжлэх.
 
 ${catalogContext}
 
+${cartContext}
+
 ЗОРИЛГО ТОДОРХОЙЛОХ (Intent):
 1. 'browsing' -> Хэрэглэгч "сайн уу", "юу байна", "юу зардаг вэ", "санал болго" гэх мэтээр зөвхөн сонирхож байвал.
 2. 'inquiry' -> Тодорхой бараа асуусан боловч (байгаа юу, үнэ хэд вэ) авах эсэх нь тодорхойгүй байвал.
 3. 'ordering' -> "Авъя", "Захиалъя", "Нэгийг бичээрэй" гэх мэтээр худалдан авах шийдвэр гаргасан эсвэл хаяг, утсаа бичсэн бол.
+4. 'complaint' -> Гомдол гаргасан, бараа буцаах/солих, чанарын асуудал хэлсэн, эсвэл ажилтантай (хүнтэй) ярья гэсэн бол.
+5. 'order_status' -> Өмнө нь өгсөн захиалгаа асуусан бол ("захиалга маань хаана явна", "хэзээ ирэх вэ", "илгээсэн үү").
+6. 'order_cancel' -> Аль хэдийн баталгаажуулсан захиалгаа цуцлуулах гэсэн бол ("өчигдрийн захиалгаа цуцлуулъя"). Сагсанд байгаа, баталгаажаагүй захиалгыг болих бол 'command' : 'cancel' ашигла.
 
 ДҮРЭМ:
 1. Латин галигаар бичсэн бол кирилл рүү хөрвүүлж ойлго.
 2. Хэрэглэгчийн хүссэн бараа жагсаалтад байхгүй бол манайд байгаа өөр ижил төстэй барааг 'data.alternative_items' дотор санал болгож бич.
 3. Дүүрэг, Хороог бүтэн нэршил рүү хөрвүүл.
 
+САГС (cartActions):
+- Сагсыг бүтнээр нь дахин бүү бич. Зөвхөн ЭНЭ мессежээр гарсан өөрчлөлтийг 'cartActions'-д бич:
+  { "type": "add_item", "name": string, "quantity": number, "attributes": object }
+  { "type": "remove_item", "name": string }
+  { "type": "set_quantity", "name": string, "quantity": number } ("3 болгоё" гэвэл)
+  { "type": "set_attributes", "name": string, "attributes": object } (хэмжээ, өнгө сонгосон бол)
+  { "type": "set_phone", "value": string }
+  { "type": "set_address", "value": string }
+- Сагсанд байгаа барааг дахин 'add_item' бүү хий, тоог нь өөрчлөх бол 'set_quantity' ашигла.
+- "Цуцлаа", "болилоо", "хэрэггүй" гэвэл 'command' : 'cancel'.
+- "Сагсанд юу байна", "юу захиалсан билээ" гэвэл 'command' : 'view_cart'.
+- Бусад үед 'command' : 'none'.
+
 ШИЙДВЭР ГАРГАЛТ (isOrderReady):
-- Зөвхөн 'intent' : 'ordering' үед (Бараа + Утас + Хаяг) бүрэн байвал 'isOrderReady' : true болно.
-- Бусад тохиолдолд (browsing, inquiry) үргэлж 'isOrderReady' : false байна.
+- Зөвхөн 'intent' : 'ordering' үед сагсанд (энэ мессежийн өөрчлөлтийг оруулаад) Бараа + Утас + Хаяг бүрэн байвал 'isOrderReady' : true болно.
+- "Сонголт" бүхий бараанд (хэмжээ, өнгө г.м.) сонголт бүрийг хэрэглэгч хэлээгүй бол 'isOrderReady' : false, 'missingFields'-д "variant" нэмж, аль сонголтыг хүсэхийг асуу.
+- Сонгосон утгыг 'attributes' дотор сонголтын нэрээр нь бич, жишээ нь { "Хэмжээ": "XL", "Өнгө": "Хар" }.
+- Үлдэгдлийг систем өөрөө шалгана. 'isOrderReady'-г үлдэгдлээс хамааруулж бүү шийд, үлдэгдэл хүрэлцэнэ гэж бүү амла.
+- Бусад тохиолдолд (browsing, inquiry, complaint, order_status, order_cancel) үргэлж 'isOrderReady' : false байна.
 
 JSON БҮТЭЦ:
 {
-  "intent": "browsing | inquiry | ordering",
+  "intent": "browsing | inquiry | ordering | complaint | order_status | order_cancel",
   "isOrderReady": true/false,
   "confidence": number,
+  "command": "none | view_cart | cancel",
+  "cartActions": [{ "type": string, ... }],
   "data": {
-    "items": [{ "name": string, "quantity": number, "price": number, "attributes": object }],
     "alternative_items": [string], (Манай каталог-д байгаа бараануудаас)
-    "phone": string,
-    "full_address": string,
+    "suggested_items": [string], (browsing/inquiry үед хэрэглэгчийн сонирхсон, каталогт байгаа бараа; ерөнхий асуулт бол [])
     "payment_method": string
   },
-  "missingFields": ["phone", "full_address", "items"]
+  "missingFields": ["phone", "full_address", "items", "variant"]
 }`;
 
     const completion = await openai.chat.completions.create({
@@ -79,16 +125,20 @@ JSON БҮТЭЦ:
       intent: result.intent,
       isOrder: result.isOrderReady,
       confidence: result.confidence,
+      cartActions: result.cartActions?.length || 0,
     });
 
     return result;
   } catch (error) {
     console.error("❌ Error in AI processing:", error);
     return {
+      failed: true,
       intent: "other",
       isOrderReady: false,
       confidence: 0,
-      data: { items: [], phone: null, full_address: null },
+      command: "none",
+      cartActions: [],
+      data: {},
       missingFields: ["items"],
     };
   }
@@ -120,6 +170,8 @@ ${orderContext}
 1. Хэрэв ЗАХИАЛГА БАТАЛГААЖЛАА гэсэн контекст байвал: Баярлалаа гээд дээрх мэдээллийг жагсааж баталгаажуул. Нийт дүнг заавал хэл.
 2. Хэрэв 'intent' : 'browsing' бол: Юу ч битгий нэхээрэй. Зөвхөн мэндлээд, манайд ямар бараанууд байгааг танилцуул.
 3. Хэрэв хэрэглэгч "санал болго" гэвэл: "ДЭЛГҮҮРИЙН БАРААНЫ ЖАГСААЛТ"-аас 2-3 барааг онцлон санал болгож, үнийг нь хэл.
+4. Хэрэв 'cart.phoneError' байвал: Тэр дугаар буруу байна гэж хэлээд 8 оронтой утасны дугаараа дахин бичихийг хүс.
+5. Хэрэв 'productCards' байвал: Бараануудыг дахин бүү жагсаа, доорх зурагнуудаас сонгоод "Захиалах" товч дарахыг санал болго.
 ...`;
 
     const completion = await openai.chat.completions.create({
@@ -150,20 +202,13 @@ ${orderContext}
  * @param {string} phoneNumber - Phone number to validate
  * @returns {boolean} True if valid
  */
-exports.validatePhoneNumber = (phoneNumber) => {
-  if (!phoneNumber) return false;
-  const cleaned = phoneNumber.replace(/\D/g, "");
-  return cleaned.length === 8 && /^[6-9]\d{7}$/.test(cleaned);
-};
+exports.validatePhoneNumber = (phoneNumber) =>
+  contactService.isValidPhone(phoneNumber);
 
 /**
  * Normalize phone number to standard format
  * @param {string} phoneNumber - Phone number to normalize
  * @returns {string} Normalized phone number
  */
-exports.normalizePhoneNumber = (phoneNumber) => {
-  if (!phoneNumber) return null;
-  const cleaned = phoneNumber.replace(/\D/g, "");
-  if (cleaned.length === 8) return cleaned;
-  return null;
-};
+exports.normalizePhoneNumber = (phoneNumber) =>
+  contactService.normalizePhone(phoneNumber);
@@ -0,0 +1,99 @@
+const { AuditLog } = require("../models");
+
+// Actors for changes nobody in the dashboard made
+const BOT_ACTOR = { type: "bot", name: "Messenger bot" };
+const SHEETS_ACTOR = { type: "system", name: "Google Sheets sync" };
+
+/**
+ * Actor for the logged-in user making a request
+ * @param {object} req - Authenticated request
+ */
+exports.actorFromRequest = (req) => ({
+  type: "user",
+  user: req.user._id,
+  name: req.user.name,
+});
+
+/**
+ * Actor for a customer acting through the chat, e.g. cancelling their order
+ * @param {object} customer - Customer document
+ */
+exports.customerActor = (customer) => ({
+  type: "customer",
+  name: customer.name,
+});
+
+exports.BOT_ACTOR = BOT_ACTOR;
+exports.SHEETS_ACTOR = SHEETS_ACTOR;
+
+/**
+ * Plain, comparable copy of a value (documents, Maps, ObjectIds, Dates)
+ */
+function toPlain(value) {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Pick the listed fields that differ between two snapshots
+ * @param {object} before - Snapshot before the change
+ * @param {object} after - Snapshot after the change
+ * @param {Array} fields - Dot paths to compare, e.g. ["status", "aiExtraction.needsReview"]
+ * @returns {object} { before, after } holding only changed fields, or null if nothing changed
+ */
+exports.diff = (before, after, fields) => {
+  const get = (obj, path) =>
+    path.split(".").reduce((value, key) => value?.[key], obj);
+  // Nested rather than dotted keys, which Mongo treats as paths
+  const set = (obj, path, value) => {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce((o, key) => (o[key] = o[key] || {}), obj);
+    parent[last] = value;
+  };
+
+  const changedBefore = {};
+  const changedAfter = {};
+
+  fields.forEach((field) => {
+    const from = toPlain(get(before, field));
+    const to = toPlain(get(after, field));
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      set(changedBefore, field, from);
+      set(changedAfter, field, to);
+    }
+  });
+
+  return Object.keys(changedAfter).length > 0
+    ? { before: changedBefore, after: changedAfter }
+    : null;
+};
+
+/**
+ * Append an entry to the audit log
+ * Failures are logged and swallowed - the change itself has already happened
+ * @param {object} entry - { store, entityType, entityId, action, actor, before, after, note }
+ */
+exports.record = async (entry) => {
+  try {
+    return await AuditLog.create({
+      ...entry,
+      before: toPlain(entry.before),
+      after: toPlain(entry.after),
+    });
+  } catch (error) {
+    console.error(
+      `❌ Audit log write failed (${entry.action} ${entry.entityId}):`,
+      error.message,
+    );
+    return null;
+  }
+};
+
+/**
+ * Full history of one entity, oldest first
+ */
+exports.getHistory = (entityType, entityId) =>
+  AuditLog.find({ entityType, entityId })
+    .sort({ createdAt: 1 })
+    .populate("actor.user", "name email");
@@ -0,0 +1,180 @@
+/**
+ * Draft order (cart) kept on Conversation.aiContext across chat turns
+ * The AI only proposes changes as cart actions; the cart itself is built here.
+ */
+const catalogService = require("./catalogService");
+const contactService = require("./contactService");
+
+// Cart actions the AI may return
+const CART_ACTIONS = [
+  "add_item",
+  "remove_item",
+  "set_quantity",
+  "set_attributes",
+  "set_phone",
+  "set_address",
+  "clear",
+];
+
+/**
+ * A new, empty cart
+ */
+function emptyCart() {
+  return { items: [], phone: null, address: null, confirmation: null };
+}
+
+/**
+ * Position of the cart line an action refers to (by normalized name)
+ */
+function findLine(cart, name) {
+  const wanted = catalogService.normalizeName(name);
+  return cart.items.findIndex(
+    (item) => catalogService.normalizeName(item.name) === wanted,
+  );
+}
+
+function toQuantity(value) {
+  return Math.max(0, parseInt(value) || 0);
+}
+
+/**
+ * Apply AI cart actions to a cart
+ * Unknown actions and actions on items not in the cart are ignored.
+ * @param {object} cart - Current cart (not modified)
+ * @param {Array} actions - [{ type, name, quantity, attributes, value }]
+ * @returns {object} Updated cart
+ */
+function applyActions(cart, actions = []) {
+  const next = {
+    ...emptyCart(),
+    ...cart,
+    items: (cart?.items || []).map((item) => ({ ...item })),
+  };
+
+  // Any change means the customer has to confirm the new cart again
+  if (actions?.length > 0) next.confirmation = null;
+
+  (actions || []).forEach((action) => {
+    if (!action || !CART_ACTIONS.includes(action.type)) return;
+    const index = action.name ? findLine(next, action.name) : -1;
+
+    switch (action.type) {
+      case "add_item": {
+        if (!action.name) return;
+        const quantity = Math.max(1, toQuantity(action.quantity));
+        if (index === -1) {
+          next.items.push({
+            name: action.name,
+            quantity,
+            attributes: action.attributes || {},
+          });
+        } else {
+          next.items[index].quantity += quantity;
+          next.items[index].attributes = {
+            ...next.items[index].attributes,
+            ...action.attributes,
+          };
+        }
+        break;
+      }
+      case "remove_item":
+        if (index !== -1) next.items.splice(index, 1);
+        break;
+      case "set_quantity": {
+        if (index === -1) return;
+        const quantity = toQuantity(action.quantity);
+        if (quantity === 0) next.items.splice(index, 1);
+        else next.items[index].quantity = quantity;
+        break;
+      }
+      case "set_attributes":
+        if (index === -1) return;
+        next.items[index].attributes = {
+          ...next.items[index].attributes,
+          ...action.attributes,
+        };
+        break;
+      case "set_phone": {
+        // Keep asking rather than accept a number we can't call
+        const phone = contactService.normalizePhone(action.value);
+        next.phone = phone || next.phone;
+        next.phoneError = phone ? null : String(action.value || "");
+        break;
+      }
+      case "set_address":
+        if (action.value) next.address = String(action.value).trim();
+        break;
+      case "clear":
+        Object.assign(next, emptyCart());
+        break;
+    }
+  });
+
+  return next;
+}
+
+/**
+ * Fields the cart still needs before an order can be created
+ * Same names the AI uses in `missingFields`
+ */
+function missingFields(cart) {
+  const missing = [];
+  if (!cart?.items?.length) missing.push("items");
+  if (!cart?.phone) missing.push("phone");
+  if (!cart?.address) missing.push("full_address");
+  return missing;
+}
+
+function isComplete(cart) {
+  return missingFields(cart).length === 0;
+}
+
+/**
+ * Customer-facing summary of the cart, priced from the catalog
+ * @param {object} cart - Current cart
+ * @param {Array} catalog - Store products
+ */
+function formatCart(cart, catalog) {
+  if (!cart?.items?.length) {
+    return "🛒 Таны сагс хоосон байна. Ямар бараа авах вэ?";
+  }
+
+  const { items } = catalogService.resolveItems(cart.items, catalog);
+  const lines = items.map((item) => {
+    const options = Object.values(item.attributes || {}).join(", ");
+    const label = options ? `${item.itemName} (${options})` : item.itemName;
+    return item.price != null
+      ? `• ${label} x ${item.quantity} = ₮${item.price * item.quantity}`
+      : `• ${label} x ${item.quantity}`;
+  });
+  const total = items.reduce(
+    (sum, item) => sum + (item.price || 0) * item.quantity,
+    0,
+  );
+
+  return [
+    "🛒 Таны сагс:",
+    ...lines,
+    `Нийт: ₮${total}`,
+    `Утас: ${cart.phone || "—"}`,
+    `Хаяг: ${cart.address || "—"}`,
+  ].join("\n");
+}
+
+/**
+ * Text for the Confirm / Edit button template (Messenger allows 640 characters)
+ */
+function formatConfirmation(cart, catalog) {
+  const text = `${formatCart(cart, catalog)}\n\nЗахиалгаа баталгаажуулах уу?`;
+  return text.length > 640 ? `${text.slice(0, 637)}...` : text;
+}
+
+module.exports = {
+  CART_ACTIONS,
+  emptyCart,
+  applyActions,
+  missingFields,
+  isComplete,
+  formatCart,
+  formatConfirmation,
+};
@@ -0,0 +1,342 @@
+/**
+ * Match AI-extracted item names to real Products in a store's catalog
+ * Prices always come from the catalog, never from the AI.
+ */
+
+// Minimum similarity (0..1) for a fuzzy match
+const FUZZY_THRESHOLD = 0.75;
+// Two candidates closer than this are ambiguous - let a human decide
+const AMBIGUITY_MARGIN = 0.05;
+
+// Latin (as customers type Mongolian) -> Cyrillic; digraphs first
+const LATIN_TO_CYRILLIC = [
+  ["sh", "ш"],
+  ["ch", "ч"],
+  ["ts", "ц"],
+  ["kh", "х"],
+  ["zh", "ж"],
+  ["ya", "я"],
+  ["yu", "ю"],
+  ["yo", "ё"],
+  ["ye", "е"],
+  ["ii", "ий"],
+  ["a", "а"],
+  ["b", "б"],
+  ["c", "ц"],
+  ["d", "д"],
+  ["e", "э"],
+  ["f", "ф"],
+  ["g", "г"],
+  ["h", "х"],
+  ["i", "и"],
+  ["j", "ж"],
+  ["k", "к"],
+  ["l", "л"],
+  ["m", "м"],
+  ["n", "н"],
+  ["o", "о"],
+  ["ö", "ө"],
+  ["p", "п"],
+  ["q", "к"],
+  ["r", "р"],
+  ["s", "с"],
+  ["t", "т"],
+  ["u", "у"],
+  ["ü", "ү"],
+  ["v", "в"],
+  ["w", "в"],
+  ["x", "х"],
+  ["y", "ы"],
+  ["z", "з"],
+];
+
+// Letters customers routinely swap when typing without a Mongolian keyboard
+const LOOSE_LETTERS = { ө: "о", ү: "у", е: "э", ё: "о", й: "и", ы: "и" };
+
+/**
+ * Transliterate Latin letters to Cyrillic
+ */
+function toCyrillic(text) {
+  let result = "";
+  let i = 0;
+  while (i < text.length) {
+    const pair = LATIN_TO_CYRILLIC.find(([latin]) => text.startsWith(latin, i));
+    if (pair) {
+      result += pair[1];
+      i += pair[0].length;
+    } else {
+      result += text[i];
+      i += 1;
+    }
+  }
+  return result;
+}
+
+/**
+ * Comparable form of a product name: lowercase Cyrillic, no punctuation, loose letters folded
+ * e.g. "Har Tsamts!" and "хар цамц" both become "хар цамц"
+ */
+function normalizeName(name) {
+  const cyrillic = toCyrillic(String(name || "").toLowerCase());
+  return cyrillic
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/[өүеёйы]/g, (ch) => LOOSE_LETTERS[ch])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Similarity between two normalized names (0..1)
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Find the catalog product an extracted item name refers to
+ * Exact name first, then normalized (Latin/Cyrillic, case, punctuation), then fuzzy.
+ * @param {string} name - Item name from the AI
+ * @param {Array} catalog - Store products
+ * @returns {object|null} { product, matchType, score }
+ */
+function matchProduct(name, catalog) {
+  if (!name) return null;
+
+  const wanted = String(name).trim().toLowerCase();
+  const exact = catalog.find((p) => p.name.trim().toLowerCase() === wanted);
+  if (exact) return { product: exact, matchType: "exact", score: 1 };
+
+  const normalized = normalizeName(name);
+  const sameNormalized = catalog.filter(
+    (p) => normalizeName(p.name) === normalized,
+  );
+  if (sameNormalized.length === 1) {
+    return { product: sameNormalized[0], matchType: "normalized", score: 1 };
+  }
+  if (sameNormalized.length > 1) return null;
+
+  const ranked = catalog
+    .map((product) => ({
+      product,
+      score: similarity(normalized, normalizeName(product.name)),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = ranked;
+  if (!best || best.score < FUZZY_THRESHOLD) return null;
+  if (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN) return null;
+
+  return { product: best.product, matchType: "fuzzy", score: best.score };
+}
+
+/**
+ * Pick the variant a customer asked for from free-form AI attributes
+ * Values are matched against each option's values, whatever key the AI used
+ * ("size", "Хэмжээ", ...), so "xl" resolves to { Хэмжээ: "XL" }.
+ * @param {object} product - Catalog product with options/variants
+ * @param {object} attributes - AI item attributes
+ * @returns {object} { variant, chosen } or { missing: [options] } or { unavailable: chosen }
+ */
+function matchVariant(product, attributes = {}) {
+  const given = Object.values(attributes || {}).map(normalizeName);
+  const chosen = {};
+  const missing = [];
+
+  (product.options || []).forEach((option) => {
+    // A single-value option (e.g. only one colour) needs no question
+    const value =
+      option.values.length === 1
+        ? option.values[0]
+        : option.values.find((v) => given.includes(normalizeName(v)));
+    if (value) chosen[option.name] = value;
+    else missing.push({ name: option.name, values: option.values });
+  });
+
+  if (missing.length > 0) return { missing };
+
+  const variant = (product.variants || []).find(
+    (v) =>
+      v.isActive !== false &&
+      Object.entries(chosen).every(
+        ([name, value]) => attributeOf(v, name) === value,
+      ),
+  );
+  return variant ? { variant, chosen } : { unavailable: chosen };
+}
+
+// Variant attributes are a Map on documents and a plain object on lean results
+function attributeOf(variant, name) {
+  const { attributes } = variant;
+  return attributes instanceof Map ? attributes.get(name) : attributes?.[name];
+}
+
+/**
+ * Turn AI-extracted items into order lines priced from the catalog
+ * Lines for products with variants only get a SKU and price once every option is chosen.
+ * @param {Array} items - AI items ({ name, quantity, attributes })
+ * @param {Array} catalog - Store products
+ * @returns {object} { items: order lines, unmatched: [names], needsVariant: [{ name, missing, unavailable }] }
+ */
+function resolveItems(items = [], catalog = []) {
+  const unmatched = [];
+  const needsVariant = [];
+
+  const resolved = items.map((item) => {
+    const quantity = Math.max(1, parseInt(item.quantity) || 1);
+    const match = matchProduct(item.name, catalog);
+
+    if (!match) {
+      unmatched.push(item.name || "Бараа");
+      return {
+        itemName: item.name || "Бараа",
+        requestedName: item.name,
+        quantity,
+        attributes: item.attributes || {},
+      };
+    }
+
+    const line = {
+      product: match.product._id,
+      itemName: match.product.name,
+      requestedName: item.name,
+      matchType: match.matchType,
+      quantity,
+      price: match.product.price,
+      attributes: item.attributes || {},
+    };
+
+    if (!match.product.variants?.length) return line;
+
+    const variant = matchVariant(match.product, item.attributes);
+    if (!variant.variant) {
+      needsVariant.push({ name: match.product.name, ...variant });
+      return line;
+    }
+
+    return {
+      ...line,
+      sku: variant.variant.sku,
+      price: variant.variant.price ?? match.product.price,
+      attributes: variant.chosen,
+    };
+  });
+
+  return { items: resolved, unmatched, needsVariant };
+}
+
+/**
+ * Customer-facing question for lines still missing a variant choice
+ * @param {Array} needsVariant - `needsVariant` from resolveItems
+ */
+function formatVariantQuestion(needsVariant) {
+  const lines = needsVariant.map(({ name, missing, unavailable }) => {
+    if (unavailable) {
+      const choice = Object.values(unavailable).join(", ");
+      return `• ${name} (${choice}) одоогоор байхгүй байна. Өөр сонголт хийнэ үү.`;
+    }
+    const questions = missing.map(
+      (option) => `${option.name}: ${option.values.join(" / ")}`,
+    );
+    return `• ${name} — ${questions.join("; ")}`;
+  });
+
+  return `Захиалгаа баталгаажуулахын тулд сонголтоо хэлнэ үү:\n${lines.join("\n")}`;
+}
+
+// Messenger shows at most this many cards in a generic template
+const MAX_CARDS = 10;
+
+/**
+ * In-stock products to show for what the customer asked about
+ * Each name matches like an order line, plus every product whose name
+ * contains it ("цамц" -> "хар цамц", "цагаан цамц"). No names: the whole
+ * in-stock catalog.
+ * @param {Array} names - Product names from the AI
+ * @param {Array} catalog - Store products
+ * @returns {Array} Up to MAX_CARDS products
+ */
+function suggestProducts(names = [], catalog = []) {
+  const inStock = catalog.filter((p) => p.isActive !== false && p.stock > 0);
+  const wanted = (names || []).filter(Boolean);
+  if (wanted.length === 0) return inStock.slice(0, MAX_CARDS);
+
+  const found = new Map();
+  wanted.forEach((name) => {
+    const match = matchProduct(name, inStock);
+    if (match) found.set(String(match.product._id), match.product);
+
+    const normalized = normalizeName(name);
+    if (!normalized) return;
+    inStock
+      .filter((p) => normalizeName(p.name).includes(normalized))
+      .forEach((p) => found.set(String(p._id), p));
+  });
+
+  return [...found.values()].slice(0, MAX_CARDS);
+}
+
+/**
+ * Generic template cards for products, each with an "Order" postback
+ * @param {Array} products - From suggestProducts
+ * @returns {Array} Elements for messengerService.sendGenericTemplate
+ */
+function formatProductCards(products) {
+  return products.map((product) => {
+    const options = (product.options || [])
+      .filter((option) => option.values?.length > 1)
+      .map((option) => option.values.join("/"));
+    const subtitle = [`₮${product.price}`, ...options, product.description]
+      .filter(Boolean)
+      .join(" · ");
+    // Messenger only loads absolute image URLs
+    const image = (product.images || []).find((url) =>
+      /^https?:\/\//.test(url),
+    );
+
+    return {
+      title: product.name.slice(0, 80),
+      subtitle: subtitle.slice(0, 80),
+      ...(image && { image_url: image }),
+      buttons: [
+        {
+          type: "postback",
+          title: "🛒 Захиалах",
+          payload: `ORDER_PRODUCT:${product._id}`,
+        },
+      ],
+    };
+  });
+}
+
+module.exports = {
+  normalizeName,
+  similarity,
+  matchProduct,
+  matchVariant,
+  resolveItems,
+  formatVariantQuestion,
+  suggestProducts,
+  formatProductCards,
+};
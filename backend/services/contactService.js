@@ -0,0 +1,247 @@
+/**
+ * Mongolian phone numbers and delivery addresses
+ * Turns what customers type ("+976 9911-2233", "бзд 3р хороо 15-р байр 45 тоот")
+ * into values orders and delivery logic can rely on.
+ */
+
+// Districts of Ulaanbaatar; aliases are lowercase (Cyrillic, loose letters, Latin)
+const DISTRICTS = [
+  {
+    name: "Баянзүрх",
+    aliases: ["баянзүрх", "баянзурх", "бзд", "bzd", "bayanzurkh", "bayanzurh"],
+  },
+  {
+    name: "Хан-Уул",
+    aliases: [
+      "хан-уул",
+      "хан уул",
+      "хануул",
+      "худ",
+      "hud",
+      "khud",
+      "khan-uul",
+      "khan uul",
+      "han uul",
+    ],
+  },
+  {
+    name: "Сүхбаатар",
+    aliases: [
+      "сүхбаатар",
+      "сухбаатар",
+      "сбд",
+      "sbd",
+      "sukhbaatar",
+      "suhbaatar",
+    ],
+  },
+  {
+    name: "Баянгол",
+    aliases: ["баянгол", "бгд", "bgd", "bayangol"],
+  },
+  {
+    name: "Сонгинохайрхан",
+    aliases: [
+      "сонгинохайрхан",
+      "схд",
+      "shd",
+      "skhd",
+      "songinokhairkhan",
+      "songinohairhan",
+    ],
+  },
+  {
+    name: "Чингэлтэй",
+    aliases: ["чингэлтэй", "чингэлтэи", "чд", "chd", "chingeltei"],
+  },
+  {
+    name: "Налайх",
+    aliases: ["налайх", "нд", "nalaikh", "nalaih"],
+  },
+  {
+    name: "Багануур",
+    aliases: ["багануур", "бнд", "baganuur"],
+  },
+  {
+    name: "Багахангай",
+    aliases: ["багахангай", "бхд", "bagakhangai", "bagahangai"],
+  },
+];
+
+// Letter boundaries; \b does not work for Cyrillic
+const START = "(?<![\\p{L}\\d])";
+const END = "(?![\\p{L}])";
+
+const DISTRICT_PATTERNS = DISTRICTS.map((district) => ({
+  name: district.name,
+  pattern: new RegExp(
+    `${START}(?:${district.aliases.map(escapeRegExp).join("|")})(?:\\s*-?\\s*(?:дүүрэг|дүүргийн|duureg|д\\.))?${END}`,
+    "iu",
+  ),
+}));
+
+// "3-р хороо", "3 хороо", "хороо 3", "3 khoroo"
+const KHOROO_PATTERNS = [
+  /(\d{1,2})\s*-?\s*(?:р|r|дугаар|dugaar)?\s*(?:хороо|khoroo|horoo)/iu,
+  /(?:хороо|khoroo|horoo)\s*-?\s*(\d{1,2})(?!\d)/iu,
+];
+// "15-р байр", "15а байр", "байр 15", "15 bair"
+const BUILDING_PATTERNS = [
+  /(\d{1,4}\s*[а-яa-z]?)\s*-?\s*(?:р|r|дугаар)?\s*(?:байр|bair)/iu,
+  /(?:байр|bair)\s*-?\s*(\d{1,4}\s*[а-яa-z]?)(?![\p{L}\d])/iu,
+];
+// "45 тоот", "тоот 45", "45 toot"
+const APARTMENT_PATTERNS = [
+  /(\d{1,4})\s*(?:тоот|toot)/iu,
+  /(?:тоот|toot)\s*(\d{1,4})/iu,
+];
+// Numbered parts; first pattern is "<number> <label>", second "<label> <number>"
+const NUMBERED_FIELDS = [
+  { field: "apartment", patterns: APARTMENT_PATTERNS, clean: (v) => v },
+  {
+    field: "building",
+    patterns: BUILDING_PATTERNS,
+    clean: (v) => v.replace(/\s+/g, "").toUpperCase(),
+  },
+  { field: "khoroo", patterns: KHOROO_PATTERNS, clean: (v) => parseInt(v) },
+];
+
+// "15-45" building-apartment shorthand, used when neither is labelled
+const BUILDING_APARTMENT_PATTERN =
+  /(?<![\d-])(\d{1,4})\s*[-/]\s*(\d{1,4})(?![\d\p{L}])/u;
+
+// The city itself adds nothing for delivery inside Ulaanbaatar
+const CITY_PATTERN = new RegExp(
+  `${START}(?:улаанбаатар|уб|ulaanbaatar|ub)(?:\\s*хот)?${END}`,
+  "giu",
+);
+
+// Labels left without a number ("хороо" in "хороо 8 байр 3 тоот")
+const BARE_LABEL_PATTERN = new RegExp(
+  `${START}(?:дүүрэг|хороо|байр|тоот|khoroo|bair|toot)${END}`,
+  "giu",
+);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 8-digit Mongolian mobile number, or null
+ * Accepts spaces, dashes and a +976 / 976 prefix
+ * @param {string} phoneNumber - As typed by the customer
+ * @returns {string|null} e.g. "99112233"
+ */
+function normalizePhone(phoneNumber) {
+  if (!phoneNumber) return null;
+  let digits = String(phoneNumber).replace(/\D/g, "");
+  if (digits.length === 11 && digits.startsWith("976")) {
+    digits = digits.slice(3);
+  }
+  return /^[6-9]\d{7}$/.test(digits) ? digits : null;
+}
+
+function isValidPhone(phoneNumber) {
+  return normalizePhone(phoneNumber) !== null;
+}
+
+/**
+ * Every mobile number mentioned in a text, e.g. a bank transfer description
+ * @param {string} text - Free text
+ * @returns {Array} Normalized numbers, without duplicates
+ */
+function findPhones(text) {
+  const matches = String(text || "").matchAll(
+    /(?<!\d)(?:\+?976[\s-]?)?([6-9]\d{3}[\s-]?\d{4})(?!\d)/g,
+  );
+  return [...new Set([...matches].map((m) => normalizePhone(m[1])))];
+}
+
+/**
+ * Split a free-text address into structured parts
+ * Whatever isn't recognised is kept as the landmark ("их дэлгүүрийн ард").
+ * @param {string} address - Address as typed by the customer
+ * @returns {object} { district, khoroo, building, apartment, landmark }
+ */
+function parseAddress(address) {
+  const text = String(address || "").trim();
+  const parts = {
+    district: null,
+    khoroo: null,
+    building: null,
+    apartment: null,
+    landmark: null,
+  };
+  if (!text) return parts;
+
+  let rest = text;
+  // Blank out a match so the landmark only keeps unrecognised text
+  const take = (match) => {
+    rest =
+      rest.slice(0, match.index) +
+      " ".repeat(match[0].length) +
+      rest.slice(match.index + match[0].length);
+  };
+
+  const district = DISTRICT_PATTERNS.find(({ pattern }) => pattern.test(rest));
+  if (district) {
+    parts.district = district.name;
+    take(district.pattern.exec(rest));
+  }
+
+  // "8 байр 3 тоот": numbers before their label win over "хороо 8" readings
+  [0, 1].forEach((form) => {
+    NUMBERED_FIELDS.forEach(({ field, patterns, clean }) => {
+      if (parts[field] !== null) return;
+      const match = patterns[form].exec(rest);
+      if (match) {
+        parts[field] = clean(match[1]);
+        take(match);
+      }
+    });
+  });
+
+  if (!parts.building && !parts.apartment) {
+    const shorthand = BUILDING_APARTMENT_PATTERN.exec(rest);
+    if (shorthand) {
+      parts.building = shorthand[1];
+      parts.apartment = shorthand[2];
+      take(shorthand);
+    }
+  }
+
+  const landmark = rest
+    .replace(CITY_PATTERN, " ")
+    .replace(BARE_LABEL_PATTERN, " ")
+    .replace(/[,.;]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  parts.landmark = landmark || null;
+
+  return parts;
+}
+
+/**
+ * One-line canonical address, e.g. "Баянзүрх дүүрэг, 3-р хороо, 15-р байр, 45 тоот"
+ * @param {object} parts - From parseAddress
+ */
+function formatAddress(parts) {
+  return [
+    parts.district && `${parts.district} дүүрэг`,
+    parts.khoroo && `${parts.khoroo}-р хороо`,
+    parts.building && `${parts.building}-р байр`,
+    parts.apartment && `${parts.apartment} тоот`,
+    parts.landmark,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+module.exports = {
+  DISTRICTS,
+  normalizePhone,
+  isValidPhone,
+  findPhones,
+  parseAddress,
+  formatAddress,
+};
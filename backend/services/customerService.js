@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const { Customer, Order } = require("../models");
+const contactService = require("./contactService");
+
+/**
+ * Recalculate a customer's order count and spend from their orders
+ * Cancelled orders don't count; safe to call after any order change
+ * @param {string} customerId - Customer ID
+ */
+exports.refreshOrderTotals = async (customerId) => {
+  if (!customerId) return;
+
+  const [totals] = await Order.aggregate([
+    {
+      $match: {
+        customer: new mongoose.Types.ObjectId(String(customerId)),
+        status: { $ne: "cancelled" },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        spent: { $sum: "$totalAmount" },
+      },
+    },
+  ]);
+
+  await Customer.updateOne(
+    { _id: customerId },
+    {
+      $set: {
+        "metadata.totalOrders": totals?.count || 0,
+        "metadata.totalSpent": totals?.spent || 0,
+      },
+    },
+  );
+};
+
+/**
+ * Remember a new order on its customer: contact details for next time, history and totals
+ * Only a valid phone number is saved, so fallbacks never become the customer's contact
+ * @param {object} order - Saved order
+ */
+exports.recordOrder = async (order) => {
+  const update = { $addToSet: { orders: order._id } };
+  const contact = {};
+
+  if (contactService.isValidPhone(order.phoneNumber)) {
+    contact.phoneNumber = contactService.normalizePhone(order.phoneNumber);
+  }
+  if (order.address) contact.address = order.address.trim();
+  if (Object.keys(contact).length > 0) update.$set = contact;
+
+  await Customer.updateOne({ _id: order.customer }, update);
+  await exports.refreshOrderTotals(order.customer);
+};
+
+/**
+ * Contact details saved from the customer's last order, or null
+ * @param {object} customer - Customer document
+ */
+exports.savedContact = (customer) =>
+  customer?.phoneNumber && customer?.address
+    ? { phone: customer.phoneNumber, address: customer.address }
+    : null;
@@ -0,0 +1,267 @@
+const { WebhookJob, DeadLetterEvent } = require("../models");
+
+const POLL_INTERVAL_MS = parseInt(process.env.EVENT_QUEUE_POLL_MS) || 1000;
+const CONCURRENCY = parseInt(process.env.EVENT_QUEUE_CONCURRENCY) || 5;
+const MAX_ATTEMPTS = parseInt(process.env.EVENT_QUEUE_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = 5 * 1000; // 5s, 10s, 20s, 40s ...
+const BACKOFF_MAX_MS = 10 * 60 * 1000; // 10 minutes
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // A job "processing" longer than this was lost in a crash
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Mongo-backed queue for inbound webhook events
+ * The webhook only writes jobs; a worker loop claims and processes them with retries
+ */
+class EventQueueService {
+  constructor() {
+    this.handler = null;
+    this.timer = null;
+    this.running = false;
+    this.active = 0;
+    this.polling = false;
+    this.pollAgain = false;
+    this.lastRecoveryAt = 0;
+  }
+
+  /**
+   * Persist webhook events as pending jobs (in delivery order)
+   * @param {Array} events - [{ pageId, webhookEvent }]
+   * @returns {Array} Created jobs
+   */
+  async enqueue(events) {
+    if (events.length === 0) return [];
+
+    const jobs = await WebhookJob.insertMany(
+      events.map(({ pageId, webhookEvent }) => ({
+        pageId,
+        senderPsid: webhookEvent.sender.id,
+        event: webhookEvent,
+        maxAttempts: MAX_ATTEMPTS,
+      })),
+    );
+
+    this.wake();
+    return jobs;
+  }
+
+  /**
+   * Start the worker loop
+   * @param {Function} handler - async (job, { isLastAttempt }) => void, throws to retry
+   */
+  start(handler) {
+    if (this.running) return;
+    this.handler = handler;
+    this.running = true;
+    console.log(
+      `🧵 Event queue worker started (concurrency: ${CONCURRENCY}, max attempts: ${MAX_ATTEMPTS})`,
+    );
+    this.wake();
+  }
+
+  /**
+   * Stop claiming new jobs (jobs in flight finish on their own)
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Poll right away instead of waiting for the next tick
+   */
+  wake() {
+    if (!this.running) return;
+    if (this.polling) {
+      this.pollAgain = true;
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll(), 0);
+  }
+
+  async poll() {
+    this.timer = null;
+    this.polling = true;
+    this.pollAgain = false;
+    try {
+      await this.recoverStaleJobs();
+
+      while (this.running && this.active < CONCURRENCY) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        this.active += 1;
+        this.runJob(job).finally(() => {
+          this.active -= 1;
+          this.wake();
+        });
+      }
+    } catch (error) {
+      console.error("❌ Event queue poll failed:", error.message);
+    }
+
+    this.polling = false;
+    if (this.running) {
+      this.timer = setTimeout(
+        () => this.poll(),
+        this.pollAgain ? 0 : POLL_INTERVAL_MS,
+      );
+    }
+  }
+
+  /**
+   * Atomically take the oldest due job
+   * A sender whose earlier job is still unfinished (e.g. waiting out a retry
+   * backoff) is skipped, so their messages are handled in order.
+   */
+  async claimNext() {
+    const now = new Date();
+    const blockedSenders = [];
+
+    for (;;) {
+      const candidate = await WebhookJob.findOne({
+        status: "pending",
+        nextRunAt: { $lte: now },
+        senderPsid: { $nin: blockedSenders },
+      })
+        .sort({ nextRunAt: 1, _id: 1 })
+        .select("_id senderPsid");
+      if (!candidate) return null;
+
+      const hasEarlierJob = await WebhookJob.exists({
+        senderPsid: candidate.senderPsid,
+        status: { $in: ["pending", "processing"] },
+        _id: { $lt: candidate._id },
+      });
+      if (hasEarlierJob) {
+        blockedSenders.push(candidate.senderPsid);
+        continue;
+      }
+
+      const job = await WebhookJob.findOneAndUpdate(
+        { _id: candidate._id, status: "pending" },
+        {
+          $set: { status: "processing", lockedAt: now },
+          $inc: { attempts: 1 },
+        },
+        { new: true },
+      );
+      // Another worker may have taken it in between; look again
+      if (job) return job;
+    }
+  }
+
+  /**
+   * Put jobs whose worker died (crash/restart) back in the queue
+   */
+  async recoverStaleJobs() {
+    const now = Date.now();
+    if (now - this.lastRecoveryAt < RECOVERY_INTERVAL_MS) return;
+    this.lastRecoveryAt = now;
+
+    const result = await WebhookJob.updateMany(
+      {
+        status: "processing",
+        lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) },
+      },
+      { $set: { status: "pending", nextRunAt: new Date(now) } },
+    );
+
+    if (result.modifiedCount > 0) {
+      console.warn(`♻️  Recovered ${result.modifiedCount} stale event job(s)`);
+    }
+  }
+
+  async runJob(job) {
+    const isLastAttempt = job.attempts >= job.maxAttempts;
+
+    try {
+      await this.handler(job, { isLastAttempt });
+      await WebhookJob.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: "completed", completedAt: new Date() },
+          $unset: { lockedAt: 1 },
+        },
+      );
+    } catch (error) {
+      console.error(
+        `❌ Event job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`,
+        error.message,
+      );
+
+      try {
+        if (isLastAttempt) {
+          await this.deadLetter(job, error);
+        } else {
+          await WebhookJob.updateOne(
+            { _id: job._id },
+            {
+              $set: {
+                status: "pending",
+                nextRunAt: new Date(Date.now() + this.backoff(job.attempts)),
+                lastError: error.message,
+              },
+              $unset: { lockedAt: 1 },
+            },
+          );
+        }
+      } catch (updateError) {
+        // Stale lock recovery will pick the job up again
+        console.error("❌ Could not reschedule event job:", updateError.message);
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff with a little jitter
+   */
+  backoff(attempts) {
+    const delay = Math.min(
+      BACKOFF_BASE_MS * 2 ** (attempts - 1),
+      BACKOFF_MAX_MS,
+    );
+    return delay + Math.floor(Math.random() * 1000);
+  }
+
+  /**
+   * Move a job that exhausted its retries to the dead-letter collection
+   */
+  async deadLetter(job, error) {
+    await DeadLetterEvent.create({
+      pageId: job.pageId,
+      senderPsid: job.senderPsid,
+      event: job.event,
+      jobId: job._id,
+      attempts: job.attempts,
+      lastError: error.message,
+    });
+    await WebhookJob.deleteOne({ _id: job._id });
+    console.error(`☠️  Event job ${job._id} moved to dead letter`);
+  }
+
+  /**
+   * Re-queue a dead-lettered event with a fresh retry budget
+   * @param {object} deadLetter - DeadLetterEvent document
+   * @returns {object} The new job
+   */
+  async replay(deadLetter) {
+    const job = await WebhookJob.create({
+      pageId: deadLetter.pageId,
+      senderPsid: deadLetter.senderPsid,
+      event: deadLetter.event,
+      maxAttempts: MAX_ATTEMPTS,
+      replayedFrom: deadLetter._id,
+    });
+
+    deadLetter.replayCount += 1;
+    deadLetter.replayedAt = new Date();
+    await deadLetter.save();
+
+    this.wake();
+    return job;
+  }
+}
+
+module.exports = new EventQueueService();
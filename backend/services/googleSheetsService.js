@@ -1,5 +1,13 @@
 const { GoogleSpreadsheet } = require("google-spreadsheet");
 const { JWT } = require("google-auth-library");
+const auditService = require("./auditService");
+const realtimeService = require("./realtimeService");
+
+// Product sheet columns that describe a variant; option name -> accepted headers
+const VARIANT_COLUMNS = [
+  { option: "Хэмжээ", headers: ["Хэмжээ", "Size"] },
+  { option: "Өнгө", headers: ["Өнгө", "Color"] },
+];
 
 /**
  * Service to handle Google Sheets operations
@@ -170,6 +178,8 @@ class GoogleSheetsService {
         console.warn("⚠️ 'AI Status' column not found in sheet");
       }
 
+      // 1. Parse rows; one row per product, or one row per variant of a product
+      const groups = new Map();
       for (const row of rows) {
         try {
           const name = row.get("Нэр") || row.get("Name") || row.get("Product");
@@ -178,48 +188,126 @@ class GoogleSheetsService {
           let priceStr = String(row.get("Үнэ") || row.get("Price") || "0");
           let stockStr = String(row.get("Үлдэгдэл") || row.get("Stock") || "0");
 
-          // 1. Robust Sanitization: Extract only digits (handles 50k, 10,000₮, etc.)
+          // Robust Sanitization: Extract only digits (handles 50k, 10,000₮, etc.)
           const price = parseFloat(priceStr.replace(/[^0-9.]/g, ""));
           const stock = parseInt(stockStr.replace(/[^0-9]/g, ""));
 
-          const description =
-            row.get("Тайлбар") || row.get("Description") || "";
-          const category = row.get("Төрөл") || row.get("Category") || "";
+          const parsed = {
+            row,
+            price: isNaN(price) ? 0 : price,
+            stock: isNaN(stock) ? 0 : stock,
+            description: row.get("Тайлбар") || row.get("Description") || "",
+            category: row.get("Төрөл") || row.get("Category") || "",
+            sku: String(row.get("SKU") || row.get("Код") || "").trim(),
+            attributes: this.readVariantAttributes(row),
+          };
+
+          const key = name.trim();
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(parsed);
+        } catch (rowError) {
+          console.error(`❌ Error reading row: ${rowError.message}`);
+          errorCount++;
+        }
+      }
 
-          // 2. Upsert in Database (Sync-then-Serve)
-          await Product.findOneAndUpdate(
-            { store: storeId, name: name.trim() },
-            {
-              store: storeId,
-              name: name.trim(),
-              description,
-              price: isNaN(price) ? 0 : price,
-              stock: isNaN(stock) ? 0 : stock,
-              category,
+      // 2. Upsert each product in Database (Sync-then-Serve)
+      for (const [name, group] of groups) {
+        try {
+          const [first] = group;
+          const update = {
+            store: storeId,
+            name,
+            description: first.description,
+            price: first.price,
+            stock: first.stock,
+            category: first.category,
+            options: [],
+            variants: [],
+            isActive: true,
+          };
+
+          const isVariantProduct = group.some(
+            (r) => r.sku || Object.keys(r.attributes).length > 0,
+          );
+          if (isVariantProduct) {
+            // Base price is the cheapest variant; others carry an override
+            update.price = Math.min(...group.map((r) => r.price));
+            update.variants = group.map((r) => ({
+              sku: r.sku || this.variantSku(name, r.attributes),
+              attributes: r.attributes,
+              stock: r.stock,
+              price: r.price !== update.price ? r.price : undefined,
               isActive: true,
-            },
+            }));
+            update.options = VARIANT_COLUMNS.map(({ option }) => ({
+              name: option,
+              values: [
+                ...new Set(
+                  group.map((r) => r.attributes[option]).filter(Boolean),
+                ),
+              ],
+            })).filter((option) => option.values.length > 0);
+            update.stock = group.reduce((sum, r) => sum + r.stock, 0);
+          }
+
+          const existing = await Product.findOne({
+            store: storeId,
+            name,
+          }).lean();
+
+          const product = await Product.findOneAndUpdate(
+            { store: storeId, name },
+            update,
             { upsert: true, new: true },
           );
 
+          const changes = auditService.diff(existing, product.toObject(), [
+            "price",
+            "stock",
+            "description",
+            "category",
+            "options",
+            "variants",
+            "isActive",
+          ]);
+          if (!existing || changes) {
+            await auditService.record({
+              store: storeId,
+              entityType: "product",
+              entityId: product._id,
+              action: existing ? "product.updated" : "product.created",
+              actor: auditService.SHEETS_ACTOR,
+              before: existing ? changes.before : null,
+              after: existing ? changes.after : product.toObject(),
+            });
+          }
+
           // 3. Status Feedback
           if (sheet.headerValues.includes("AI Status")) {
-            row.set(
-              "AI Status",
-              `✅ Synced: ${new Date().toLocaleTimeString()}`,
-            );
-            await row.save();
+            for (const { row } of group) {
+              row.set(
+                "AI Status",
+                `✅ Synced: ${new Date().toLocaleTimeString()}`,
+              );
+              await row.save();
+            }
           }
 
-          successCount++;
+          successCount += group.length;
         } catch (rowError) {
-          console.error(`❌ Error syncing row: ${rowError.message}`);
-          errorCount++;
+          console.error(`❌ Error syncing ${name}: ${rowError.message}`);
+          errorCount += group.length;
         }
       }
 
       console.log(
         `✅ Sync Completed: ${successCount} success, ${errorCount} errors`,
       );
+      realtimeService.publish(storeId, "sync.completed", {
+        successCount,
+        errorCount,
+      });
       return { successCount, errorCount };
     } catch (error) {
       console.error("❌ Product Sync Error:", error.message);
@@ -227,11 +315,35 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Variant option values on a product row, e.g. { Хэмжээ: "XL", Өнгө: "Хар" }
+   */
+  readVariantAttributes(row) {
+    const attributes = {};
+    VARIANT_COLUMNS.forEach(({ option, headers }) => {
+      const value = headers.map((h) => row.get(h)).find(Boolean);
+      if (value && String(value).trim()) {
+        attributes[option] = String(value).trim();
+      }
+    });
+    return attributes;
+  }
+
+  /**
+   * Stable SKU for variant rows without an SKU column, e.g. "Хар цамц-XL-Хар"
+   */
+  variantSku(productName, attributes) {
+    return [productName, ...Object.values(attributes)]
+      .join("-")
+      .replace(/\s+/g, "-");
+  }
+
   /**
    * Update a specific product's stock in the Google Sheet (Two-Way Sync)
    * Called when an order is placed to keep Sheets updated
+   * @param {Object} variant - Variant whose row to update (by SKU or option values)
    */
-  async updateProductStock(sheetId, productName, newStock) {
+  async updateProductStock(sheetId, productName, newStock, variant = null) {
     try {
       await this.init(sheetId);
       if (!this.initialized) return;
@@ -242,9 +354,17 @@ class GoogleSheetsService {
         this.doc.sheetsByIndex[0];
 
       const rows = await sheet.getRows();
-      const row = rows.find(
-        (r) => (r.get("Нэр") || r.get("Name")) === productName,
-      );
+      const row = rows.find((r) => {
+        if ((r.get("Нэр") || r.get("Name")) !== productName) return false;
+        if (!variant) return true;
+
+        const sku = String(r.get("SKU") || r.get("Код") || "").trim();
+        const attributes = this.readVariantAttributes(r);
+        return (
+          sku === variant.sku ||
+          (!sku && this.variantSku(productName, attributes) === variant.sku)
+        );
+      });
 
       if (row) {
         const stockKey =
@@ -0,0 +1,229 @@
+const { Order, Product, Store } = require("../models");
+const googleSheetsService = require("./googleSheetsService");
+const auditService = require("./auditService");
+
+/**
+ * Push a product's current stock to the store's Google Sheet (Үлдэгдэл column)
+ * Runs in the background; Sheets errors never fail the caller
+ */
+function syncStockToSheet(store, product, sku = null) {
+  if (!store?.googleSheetId) return;
+  const variant = sku ? product.variants?.find((v) => v.sku === sku) : null;
+  googleSheetsService
+    .updateProductStock(
+      store.googleSheetId,
+      product.name,
+      variant ? variant.stock : product.stock,
+      variant,
+    )
+    .catch((err) =>
+      console.error("❌ Sheets inventory update failed:", err.message),
+    );
+}
+
+exports.syncStockToSheet = syncStockToSheet;
+
+/**
+ * Audit + Sheets bookkeeping after a product's stock moved by `delta`
+ * @param {object} product - Product document after the change
+ * @param {string} sku - Variant whose stock moved, if any
+ */
+async function recordStockChange(store, product, delta, actor, note, sku) {
+  const variant = sku ? product.variants.find((v) => v.sku === sku) : null;
+  await auditService.record({
+    store: product.store,
+    entityType: "product",
+    entityId: product._id,
+    action: "product.stock_changed",
+    actor,
+    before: variant
+      ? {
+          stock: product.stock - delta,
+          sku,
+          variantStock: variant.stock - delta,
+        }
+      : { stock: product.stock - delta },
+    after: variant
+      ? { stock: product.stock, sku, variantStock: variant.stock }
+      : { stock: product.stock },
+    note,
+  });
+  syncStockToSheet(store, product, sku);
+}
+
+/**
+ * Atomic stock update for an order line: the variant's stock (by SKU) and the product total move together
+ * @param {object} item - Order line ({ product, sku, quantity })
+ * @param {number} delta - Signed change
+ * @param {object} filter - Extra conditions, e.g. the store
+ * @param {boolean} requireStock - Only apply while enough stock is left
+ */
+function updateLineStock(item, delta, filter, requireStock = false) {
+  if (!item.sku) {
+    return Product.findOneAndUpdate(
+      {
+        ...filter,
+        ...(requireStock && { stock: { $gte: -delta } }),
+      },
+      { $inc: { stock: delta } },
+      { new: true },
+    );
+  }
+
+  return Product.findOneAndUpdate(
+    {
+      ...filter,
+      variants: {
+        $elemMatch: {
+          sku: item.sku,
+          ...(requireStock && { stock: { $gte: -delta } }),
+        },
+      },
+    },
+    { $inc: { stock: delta, "variants.$[v].stock": delta } },
+    { new: true, arrayFilters: [{ "v.sku": item.sku }] },
+  );
+}
+
+/**
+ * Atomically take stock for every order line - all or nothing
+ * A line is only decremented while stock >= quantity, so two buyers can't both get the last item.
+ * Lines without a catalog product are skipped (nothing to reserve).
+ * Variant lines are checked against the variant's own stock.
+ * @param {object} store - Store document
+ * @param {Array} items - Order items ({ product, sku, quantity })
+ * @param {object} actor - Audit log actor
+ * @param {string} note - Audit note, e.g. the order id
+ * @returns {object} { ok: true, reserved } or { ok: false, shortages: [{ name, requested, available }] }
+ */
+exports.reserveStock = async (store, items, actor, note) => {
+  const reserved = [];
+  const shortages = [];
+
+  for (const item of items) {
+    if (!item.product) continue;
+
+    const product = await updateLineStock(
+      item,
+      -item.quantity,
+      { _id: item.product, store: store._id },
+      true,
+    );
+
+    if (product) {
+      reserved.push({ product, sku: item.sku, quantity: item.quantity });
+      continue;
+    }
+
+    const current = await Product.findOne({
+      _id: item.product,
+      store: store._id,
+    });
+    if (current) {
+      const variant = item.sku
+        ? current.variants.find((v) => v.sku === item.sku)
+        : null;
+      const variantLabel = variant
+        ? ` (${[...variant.attributes.values()].join(", ")})`
+        : "";
+      shortages.push({
+        name: `${current.name}${variantLabel}`,
+        sku: item.sku,
+        requested: item.quantity,
+        available: Math.max(0, variant ? variant.stock : current.stock),
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    // Give back what this attempt already took; nothing was sold
+    for (const { product, sku, quantity } of reserved) {
+      await updateLineStock({ sku }, quantity, { _id: product._id });
+    }
+    return { ok: false, shortages };
+  }
+
+  for (const { product, sku, quantity } of reserved) {
+    await recordStockChange(store, product, -quantity, actor, note, sku);
+  }
+  return { ok: true, reserved };
+};
+
+/**
+ * Undo a successful reservation (e.g. the order could not be saved)
+ * @param {Array} reserved - `reserved` from reserveStock
+ */
+exports.cancelReservation = async (store, reserved, actor, note) => {
+  for (const { product, sku, quantity } of reserved) {
+    const restocked = await updateLineStock({ sku }, quantity, {
+      _id: product._id,
+    });
+    if (restocked) {
+      await recordStockChange(store, restocked, quantity, actor, note, sku);
+    }
+  }
+};
+
+/**
+ * Put an order's reserved stock back into Product.stock (order cancelled or deleted)
+ * Only what reserveStock took is returned, whatever the lines say now.
+ * Safe to call more than once - stock is only released the first time
+ * @param {object} order - Order document
+ * @param {object} actor - Who caused the release (audit log actor)
+ * @returns {Array} Products whose stock was restored
+ */
+exports.releaseOrderStock = async (order, actor) => {
+  // Claim the release atomically so cancel + delete can't restore twice
+  const releasedAt = new Date();
+  const claim = await Order.updateOne(
+    { _id: order._id, stockReleasedAt: null },
+    { $set: { stockReleasedAt: releasedAt } },
+  );
+  if (claim.modifiedCount === 0) return [];
+  order.stockReleasedAt = releasedAt;
+
+  const store = await Store.findById(order.store);
+  const restored = [];
+  const note = `Released from order ${order._id} (${order.status})`;
+
+  if (order.reservedItems) {
+    for (const { product: productId, sku, quantity } of order.reservedItems) {
+      const product = await updateLineStock({ sku }, quantity, {
+        _id: productId,
+        store: order.store,
+      });
+      if (!product) continue;
+
+      await recordStockChange(store, product, quantity, actor, note, sku);
+      restored.push(product);
+    }
+  } else {
+    // Orders from before reservations were recorded: give back their lines,
+    // and before catalog matching a line only has the item name
+    for (const item of order.items) {
+      const product = await updateLineStock(
+        item,
+        item.quantity,
+        item.product
+          ? { _id: item.product, store: order.store }
+          : { store: order.store, name: item.itemName },
+      );
+      if (!product) continue;
+
+      await recordStockChange(
+        store,
+        product,
+        item.quantity,
+        actor,
+        note,
+        item.sku,
+      );
+      restored.push(product);
+    }
+  }
+
+  console.log(
+    `📦 Stock released for order ${order._id}: ${restored.length} product(s)`,
+  );
+  return restored;
+};
@@ -9,11 +9,13 @@ const GRAPH_API_URL = `https://graph.facebook.com/${GRAPH_API_VERSION}`;
  * @param {string} recipientId - Facebook Page-Scoped ID
  * @param {object} message - Message object with text or attachment
  * @param {string} pageToken - Optional page access token
+ * @param {object} options - { messagingType, tag }; a tag is needed outside the 24-hour window
  */
 exports.sendMessage = async (
   recipientId,
   message,
   pageToken = PAGE_ACCESS_TOKEN,
+  options = {},
 ) => {
   try {
     const requestBody = {
@@ -22,6 +24,12 @@ exports.sendMessage = async (
       },
       message: message,
     };
+    if (options.tag) {
+      requestBody.messaging_type = "MESSAGE_TAG";
+      requestBody.tag = options.tag;
+    } else if (options.messagingType) {
+      requestBody.messaging_type = options.messagingType;
+    }
 
     const response = await axios.post(
       `${GRAPH_API_URL}/me/messages`,
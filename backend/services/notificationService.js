@@ -0,0 +1,471 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+const { Store, Customer, Conversation, HeldAlert } = require("../models");
+const messengerService = require("./messengerService");
+
+// SMTP is shared by all stores; each store only picks the recipient
+let transporter = null;
+function getTransporter() {
+  if (!process.env.SMTP_HOST) return null;
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+// How often alerts held during quiet hours are checked for delivery
+const HELD_ALERT_INTERVAL_MS = 5 * 60 * 1000;
+// Messenger rejects longer text messages
+const MESSENGER_TEXT_LIMIT = 2000;
+
+// Owner-supplied webhooks must not reach our own network (SSRF).
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // unspecified and loopback
+  ["fc00::", 7],
+  ["fe80::", 10],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+// Messenger allows free-form messages this long after the customer's last message
+const MESSAGING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Minutes since midnight for "HH:mm", or null
+ */
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || "");
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Is it within the store's quiet hours, in the store's timezone?
+ * Windows may wrap midnight, e.g. 22:00-08:00
+ * @param {object} store - Store document
+ * @param {Date} now - Defaults to the current time
+ */
+function isQuietHours(store, now = new Date()) {
+  const start = toMinutes(store.notifications?.quietHours?.start);
+  const end = toMinutes(store.notifications?.quietHours?.end);
+  if (start === null || end === null || start === end) return false;
+
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: store.settings?.timezone || "Asia/Ulaanbaatar",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const hour = parseInt(parts.find((p) => p.type === "hour").value);
+  const minute = parseInt(parts.find((p) => p.type === "minute").value);
+  const current = hour * 60 + minute;
+
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Is the host (name or IP, as in URL.hostname) local, private or link-local?
+ * Names are only caught when they are localhost; the addresses they resolve to
+ * are checked again when the webhook is sent.
+ */
+function isPrivateHost(hostname) {
+  const host = String(hostname)
+    .toLowerCase()
+    .replace(/^\[|\]$/g, "");
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  const family = net.isIP(host);
+  if (!family) return false;
+  return PRIVATE_NETWORKS.check(host, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * DNS lookup for webhook requests that refuses private addresses, so the
+ * address checked is the one connected to
+ */
+async function publicLookup(hostname, options) {
+  const addresses = await dns.promises.lookup(hostname, {
+    ...options,
+    all: true,
+  });
+  if (addresses.some(({ address }) => isPrivateHost(address))) {
+    throw new Error(`Webhook host ${hostname} is not public`);
+  }
+  return addresses;
+}
+
+/**
+ * Short owner-facing text for an order
+ */
+function formatOrderAlert(order, store) {
+  const heading = order.aiExtraction?.needsReview
+    ? `⚠️ Шалгах шаардлагатай захиалга (${store.name})`
+    : `🛍️ Шинэ захиалга (${store.name})`;
+  const items = order.items
+    .map((item) => `• ${item.itemName} x ${item.quantity}`)
+    .join("\n");
+  const reasons = order.aiExtraction?.reviewReasons?.length
+    ? `\nШалтгаан: ${order.aiExtraction.reviewReasons.join(", ")}`
+    : "";
+
+  return `${heading}\n${items}\nНийт: ₮${order.totalAmount}\nУтас: ${order.phoneNumber}\nХаяг: ${order.address}${reasons}\nID: ${order._id}`;
+}
+
+/**
+ * Senders for every channel the store configured (null when not configured)
+ * @param {object} store - Store document (for the page token)
+ * @param {object} settings - store.notifications, with webhookSecret if needed
+ * @param {object} alert - { event, subject, text, payload }
+ */
+function ownerChannels(store, settings, alert) {
+  return {
+    messenger: settings.messengerAdminPsid
+      ? () =>
+          messengerService.sendMessage(
+            settings.messengerAdminPsid,
+            { text: truncate(alert.text, MESSENGER_TEXT_LIMIT) },
+            store.facebookPageToken,
+          )
+      : null,
+    email:
+      settings.email && getTransporter()
+        ? () =>
+            getTransporter().sendMail({
+              from: process.env.SMTP_FROM || process.env.SMTP_USER,
+              to: settings.email,
+              subject: alert.subject,
+              text: alert.text,
+            })
+        : null,
+    webhook: settings.webhookUrl
+      ? () => postWebhook(settings, alert, store)
+      : null,
+  };
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 3)}...` : text;
+}
+
+/**
+ * Deliver one alert on every channel the store configured
+ * A failing channel is logged and never blocks the others. During quiet hours
+ * Messenger and email alerts are held and delivered once they end.
+ * @param {object} store - Store document
+ * @param {object} alert - { event, subject, text, payload }
+ * @param {object} options - { holdDuringQuietHours } (default true)
+ * @returns {object} Per-channel result: "sent", "held:quiet_hours", "skipped[:<why>]" or "failed"
+ */
+async function dispatch(store, alert, { holdDuringQuietHours = true } = {}) {
+  // The webhook secret is not selected by default
+  const config = await Store.findById(store._id).select(
+    "+notifications.webhookSecret",
+  );
+  const settings = config?.notifications || {};
+  const quiet = isQuietHours(config || store);
+  const results = {};
+  let held = false;
+
+  for (const [name, send] of Object.entries(
+    ownerChannels(store, settings, alert),
+  )) {
+    if (!send) {
+      results[name] = "skipped";
+      continue;
+    }
+    // Machines don't sleep: the webhook ignores quiet hours
+    if (quiet && name !== "webhook") {
+      if (!holdDuringQuietHours) {
+        results[name] = "skipped:quiet_hours";
+        continue;
+      }
+      // One held copy serves every person-facing channel
+      if (!held) {
+        await HeldAlert.create({
+          store: store._id,
+          event: alert.event,
+          subject: alert.subject,
+          text: alert.text,
+        });
+        held = true;
+      }
+      results[name] = "held:quiet_hours";
+      continue;
+    }
+    try {
+      await send();
+      results[name] = "sent";
+    } catch (error) {
+      console.error(`❌ ${name} notification failed:`, error.message);
+      // The error text can describe the network behind the URL; keep it in the logs
+      results[name] = "failed";
+    }
+  }
+
+  console.log(`🔔 Notification ${alert.event} for ${store.name}:`, results);
+  return results;
+}
+
+/**
+ * Send alerts held during quiet hours to stores whose quiet hours are over
+ * Several alerts go out as one digest per channel.
+ */
+async function deliverHeldAlerts() {
+  const storeIds = await HeldAlert.distinct("store");
+
+  for (const storeId of storeIds) {
+    const store = await Store.findById(storeId);
+    if (!store || isQuietHours(store)) continue;
+
+    const alerts = [];
+    for (const held of await HeldAlert.find({ store: storeId }).sort({
+      heldAt: 1,
+    })) {
+      // Another server may be delivering the same alerts
+      if (await HeldAlert.findOneAndDelete({ _id: held._id })) {
+        alerts.push(held);
+      }
+    }
+    if (alerts.length === 0) continue;
+
+    const digest =
+      alerts.length === 1
+        ? alerts[0]
+        : {
+            event: "notification.digest",
+            subject: `[${store.name}] Чимээгүй цагт ирсэн ${alerts.length} мэдэгдэл`,
+            text: alerts.map((alert) => alert.text).join("\n\n"),
+          };
+    const channels = ownerChannels(store, store.notifications || {}, digest);
+
+    for (const name of ["messenger", "email"]) {
+      if (!channels[name]) continue;
+      try {
+        await channels[name]();
+      } catch (error) {
+        console.error(`❌ Held ${name} notification failed:`, error.message);
+      }
+    }
+    console.log(
+      `🌅 Delivered ${alerts.length} held notification(s) for ${store.name}`,
+    );
+  }
+}
+
+let heldAlertTimer = null;
+
+/**
+ * Start delivering held alerts in the background
+ */
+exports.startHeldAlertDelivery = () => {
+  if (heldAlertTimer) return;
+  heldAlertTimer = setInterval(
+    () =>
+      deliverHeldAlerts().catch((error) =>
+        console.error("❌ Held notification delivery failed:", error.message),
+      ),
+    HELD_ALERT_INTERVAL_MS,
+  );
+};
+
+/**
+ * POST the alert as JSON, signed like Facebook signs ours
+ * Only to public hosts, and redirects are not followed.
+ */
+async function postWebhook(settings, alert, store) {
+  if (isPrivateHost(new URL(settings.webhookUrl).hostname)) {
+    throw new Error("Webhook host is not public");
+  }
+
+  const body = JSON.stringify({
+    event: alert.event,
+    store: { id: store._id, name: store.name },
+    data: alert.payload,
+    sentAt: new Date().toISOString(),
+  });
+  const headers = { "Content-Type": "application/json" };
+  if (settings.webhookSecret) {
+    headers["X-Signature-256"] = `sha256=${crypto
+      .createHmac("sha256", settings.webhookSecret)
+      .update(body)
+      .digest("hex")}`;
+  }
+  return axios.post(settings.webhookUrl, body, {
+    headers,
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    lookup: publicLookup,
+  });
+}
+
+/**
+ * Tell the store owner about a new order
+ * Respects notifications.notifyOn ("all", "needs_review" or "none")
+ * @param {object} order - Saved order
+ * @param {object} store - Store document
+ */
+exports.notifyOrderCreated = async (order, store) => {
+  const notifyOn = store.notifications?.notifyOn || "all";
+  const needsReview = Boolean(order.aiExtraction?.needsReview);
+  if (notifyOn === "none" || (notifyOn === "needs_review" && !needsReview)) {
+    return null;
+  }
+
+  return dispatch(store, {
+    event: needsReview ? "order.needs_review" : "order.created",
+    subject: needsReview
+      ? `[${store.name}] Шалгах шаардлагатай захиалга`
+      : `[${store.name}] Шинэ захиалга ₮${order.totalAmount}`,
+    text: formatOrderAlert(order, store),
+    payload: {
+      orderId: order._id,
+      totalAmount: order.totalAmount,
+      phoneNumber: order.phoneNumber,
+      address: order.address,
+      items: order.items.map((i) => ({
+        name: i.itemName,
+        sku: i.sku,
+        quantity: i.quantity,
+        price: i.price,
+      })),
+      needsReview,
+      reviewReasons: order.aiExtraction?.reviewReasons || [],
+    },
+  });
+};
+
+/**
+ * Send a test alert so owners can check their setup
+ * @param {object} store - Store document
+ */
+exports.sendTest = (store) =>
+  dispatch(
+    store,
+    {
+      event: "notification.test",
+      subject: `[${store.name}] Туршилтын мэдэгдэл`,
+      text: `✅ ${store.name}: мэдэгдэл амжилттай тохируулагдлаа.`,
+      payload: {},
+    },
+    // A test only helps if the owner sees the result now
+    { holdDuringQuietHours: false },
+  );
+
+/**
+ * Order status updates the customer hears about, by new status
+ */
+const CUSTOMER_STATUS_MESSAGES = {
+  confirmed: (order) =>
+    `✅ Таны ₮${order.totalAmount}-н захиалгыг баталгаажууллаа. Удахгүй хүргэлтэнд гаргана.`,
+  shipped: (order, store) => {
+    const tracking = order.deliveryTracking || {};
+    const lines = ["🚚 Таны захиалга хүргэлтэнд гарлаа."];
+    if (tracking.carrier) lines.push(`Хүргэлт: ${tracking.carrier}`);
+    if (tracking.trackingNumber) {
+      lines.push(`Илгээмжийн дугаар: ${tracking.trackingNumber}`);
+    }
+    if (tracking.estimatedDelivery) {
+      const date = new Intl.DateTimeFormat("en-CA", {
+        timeZone: store.settings?.timezone || "Asia/Ulaanbaatar",
+      }).format(tracking.estimatedDelivery);
+      lines.push(`Хүргэгдэх өдөр: ${date}`);
+    }
+    return lines.join("\n");
+  },
+  delivered: () =>
+    "📦 Таны захиалга хүргэгдлээ. Манайхаар үйлчлүүлсэнд баярлалаа!",
+};
+
+/**
+ * Latest customer message in a conversation, or null
+ */
+function lastCustomerMessageAt(conversation) {
+  for (let i = conversation.messages.length - 1; i >= 0; i--) {
+    if (conversation.messages[i].sender === "customer") {
+      return conversation.messages[i].timestamp;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tell the customer their order moved to a new status
+ * Only confirmed, shipped and delivered are announced, and only if the customer
+ * has not turned notifications off. Outside Messenger's 24-hour window the
+ * message goes out with the POST_PURCHASE_UPDATE tag.
+ * @param {object} order - Saved order, already in its new status
+ * @param {object} store - Store document
+ * @returns {object|null} { sent, tag } or null when nothing was sent
+ */
+exports.notifyCustomerStatusChange = async (order, store) => {
+  const template = CUSTOMER_STATUS_MESSAGES[order.status];
+  if (!template) return null;
+
+  const customer = await Customer.findById(order.customer);
+  if (!customer || customer.preferences?.notifications === false) {
+    return null;
+  }
+
+  const conversation =
+    (order.conversation && (await Conversation.findById(order.conversation))) ||
+    (await Conversation.findOne({ customer: customer._id }).sort({
+      lastActivity: -1,
+    }));
+
+  const lastMessageAt = conversation && lastCustomerMessageAt(conversation);
+  const insideWindow =
+    lastMessageAt && Date.now() - lastMessageAt.getTime() < MESSAGING_WINDOW_MS;
+  const options = insideWindow
+    ? { messagingType: "RESPONSE" }
+    : { tag: "POST_PURCHASE_UPDATE" };
+
+  const text = template(order, store);
+  await messengerService.sendMessage(
+    customer.facebookId,
+    { text },
+    store.facebookPageToken,
+    options,
+  );
+
+  if (conversation) {
+    await conversation.addMessage("bot", text, {
+      orderId: order._id,
+      orderStatus: order.status,
+      tag: options.tag,
+    });
+  }
+
+  console.log(
+    `📨 Customer notified: order ${order._id} is ${order.status}${options.tag ? ` (${options.tag})` : ""}`,
+  );
+  return { sent: true, tag: options.tag || null };
+};
+
+exports.deliverHeldAlerts = deliverHeldAlerts;
+exports.isQuietHours = isQuietHours;
+exports.isPrivateHost = isPrivateHost;
@@ -0,0 +1,253 @@
+const { Order } = require("../models");
+const googleSheetsService = require("./googleSheetsService");
+const inventoryService = require("./inventoryService");
+const auditService = require("./auditService");
+const customerService = require("./customerService");
+const realtimeService = require("./realtimeService");
+const notificationService = require("./notificationService");
+
+/**
+ * Create an order, reserving its stock first
+ * Stock is checked here, never by the AI: if any line is short, no order is created.
+ * @param {object} orderData - Order fields (store, customer, items, phoneNumber, ...)
+ * @param {object} store - Store document
+ * @param {object} actor - Audit log actor (defaults to the bot)
+ * @returns {object} { order } or { shortages: [{ name, requested, available }] }
+ */
+exports.createOrder = async (
+  orderData,
+  store,
+  actor = auditService.BOT_ACTOR,
+) => {
+  const order = new Order({
+    ...orderData,
+    store: store._id,
+    status: "pending",
+    statusHistory: [{ to: "pending", actor }],
+  });
+  const note = `Order ${order._id}`;
+
+  // 1. Reserve stock atomically
+  const reservation = await inventoryService.reserveStock(
+    store,
+    order.items,
+    actor,
+    note,
+  );
+  if (!reservation.ok) {
+    console.log(
+      `⚠️  Not enough stock for order in ${store.name}:`,
+      reservation.shortages,
+    );
+    return { shortages: reservation.shortages };
+  }
+  // Edits to the lines later must not change what goes back on release
+  order.reservedItems = reservation.reserved.map(
+    ({ product, sku, quantity }) => ({ product: product._id, sku, quantity }),
+  );
+
+  // 2. Save (pre-save calculates totals)
+  try {
+    await order.save();
+  } catch (error) {
+    await inventoryService.cancelReservation(
+      store,
+      reservation.reserved,
+      actor,
+      `${note} could not be saved`,
+    );
+    throw error;
+  }
+  console.log(`✅ Order created for ${store.name}: ${order._id}`);
+
+  await auditService.record({
+    store: store._id,
+    entityType: "order",
+    entityId: order._id,
+    action: "order.created",
+    actor,
+    before: null,
+    after: order.toObject(),
+  });
+
+  const summary = {
+    orderId: order._id,
+    totalAmount: order.totalAmount,
+    items: order.items.map((i) => `${i.itemName} x ${i.quantity}`),
+    status: order.status,
+  };
+  realtimeService.publish(store._id, "order.created", summary);
+  if (order.aiExtraction?.needsReview) {
+    realtimeService.publish(store._id, "order.needs_review", {
+      ...summary,
+      reviewReasons: order.aiExtraction.reviewReasons,
+    });
+  }
+
+  // 3. Remember contact details and totals on the customer; the order stands either way
+  try {
+    await customerService.recordOrder(order);
+  } catch (error) {
+    console.error("❌ Customer update failed:", error.message);
+  }
+
+  // 4. Alert the owner in the background
+  notificationService
+    .notifyOrderCreated(order, store)
+    .catch((err) =>
+      console.error("❌ Owner notification failed:", err.message),
+    );
+
+  // 5. Export to Google Sheets in the background
+  const populatedOrder = await Order.findById(order._id).populate("customer");
+  googleSheetsService
+    .appendOrder(populatedOrder, store.googleSheetId)
+    .catch((err) =>
+      console.error("❌ Google Sheets sync failed:", err.message),
+    );
+
+  return { order };
+};
+
+/**
+ * Cancel an order and put its reserved stock back
+ * Only the transition is done here; callers record the audit entry.
+ * @param {object} order - Order document
+ * @param {object} actor - Audit log actor
+ * @param {string} note - Optional reason, kept in statusHistory
+ * @throws {Error} with status 409 when the order can no longer be cancelled
+ */
+exports.cancelOrder = async (order, actor, note) => {
+  order.transitionTo("cancelled", actor, note);
+  await order.save();
+
+  await inventoryService.releaseOrderStock(order, actor);
+  await customerService.refreshOrderTotals(order.customer);
+
+  realtimeService.publish(order.store, "order.cancelled", {
+    orderId: order._id,
+    totalAmount: order.totalAmount,
+    actor: actor.type,
+  });
+  return order;
+};
+
+/**
+ * Attach a payment receipt the customer sent and flag the order for review
+ * The amount read from the image is never trusted; an operator checks it.
+ * @param {object} order - Order document
+ * @param {object} proof - { url, amount, reference, paidAt }
+ * @param {object} actor - Audit log actor
+ * @returns {object} The saved order
+ */
+exports.addPaymentProof = async (order, proof, actor) => {
+  const before = {
+    needsReview: order.aiExtraction.needsReview,
+    paymentProofs: order.paymentProofs.length,
+  };
+
+  order.paymentProofs.push(proof);
+  order.aiExtraction.needsReview = true;
+  if (!order.aiExtraction.reviewReasons.includes("payment_proof")) {
+    order.aiExtraction.reviewReasons.push("payment_proof");
+  }
+  await order.save();
+
+  await auditService.record({
+    store: order.store,
+    entityType: "order",
+    entityId: order._id,
+    action: "order.payment_proof_added",
+    actor,
+    before,
+    after: {
+      needsReview: true,
+      paymentProofs: order.paymentProofs.length,
+      proof: { url: proof.url, amount: proof.amount },
+    },
+  });
+
+  realtimeService.publish(order.store, "order.needs_review", {
+    orderId: order._id,
+    totalAmount: order.totalAmount,
+    reviewReasons: order.aiExtraction.reviewReasons,
+    paymentProof: proof.url,
+  });
+  return order;
+};
+
+/**
+ * A customer's latest orders in a store, newest first
+ * @param {object} customer - Customer document
+ * @param {object} store - Store document
+ * @param {number} limit - How many to return
+ */
+exports.findRecentOrders = (customer, store, limit = 3) =>
+  Order.find({ customer: customer._id, store: store._id })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+// How order statuses read to customers
+const STATUS_LABELS = {
+  pending: "⏳ Хүлээгдэж байна",
+  confirmed: "✅ Баталгаажсан",
+  processing: "📦 Бэлтгэж байна",
+  shipped: "🚚 Хүргэлтэнд гарсан",
+  delivered: "🎉 Хүргэгдсэн",
+  cancelled: "❌ Цуцлагдсан",
+};
+
+/**
+ * Customer-facing summary of one order: date, items, total, status and tracking
+ * @param {object} order - Order document
+ * @param {string} timezone - Store timezone for the order date
+ * @returns {string}
+ */
+exports.formatOrderSummary = (order, timezone = "Asia/Ulaanbaatar") => {
+  const date = new Intl.DateTimeFormat("en-CA", { timeZone: timezone }).format(
+    order.createdAt,
+  );
+  const items = order.items
+    .map((item) => `${item.itemName} x ${item.quantity}`)
+    .join(", ");
+  const lines = [
+    `🧾 ${date}: ${items}`,
+    `Нийт: ₮${order.totalAmount} · ${STATUS_LABELS[order.status] || order.status}`,
+  ];
+  if (order.payment?.status === "paid") lines.push("💳 Төлбөр төлөгдсөн");
+
+  const tracking = order.deliveryTracking || {};
+  if (order.status === "shipped" && tracking.trackingNumber) {
+    const carrier = tracking.carrier ? `${tracking.carrier} ` : "";
+    lines.push(`Илгээмж: ${carrier}${tracking.trackingNumber}`);
+  }
+  return lines.join("\n");
+};
+
+/**
+ * Customer-facing text explaining which lines are short
+ * @param {Array} shortages - From createOrder
+ * @returns {string}
+ */
+exports.formatShortages = (shortages) => {
+  const lines = shortages.map((s) =>
+    s.available > 0
+      ? `• ${s.name}: ${s.available} ширхэг л үлдсэн байна (та ${s.requested} захиалсан)`
+      : `• ${s.name}: дууссан байна`,
+  );
+  return `😔 Уучлаарай, үлдэгдэл хүрэлцэхгүй байна:\n${lines.join("\n")}\n\nТоо ширхэгээ өөрчлөх эсвэл өөр бараа сонгох уу?`;
+};
+
+/**
+ * Customer-facing confirmation for a newly created order
+ * @param {object} order - Saved order
+ * @returns {string}
+ */
+exports.formatOrderConfirmation = (order) => {
+  const lines = order.items.map((item) => {
+    const options = [...(item.attributes?.values?.() || [])].join(", ");
+    const label = options ? `${item.itemName} (${options})` : item.itemName;
+    return `• ${label} x ${item.quantity}`;
+  });
+  return `✅ Захиалга баталгаажлаа! Баярлалаа.\n${lines.join("\n")}\nНийт: ₮${order.totalAmount}\nУтас: ${order.phoneNumber}\nХаяг: ${order.address}\n\nБид тантай удахгүй холбогдоно.`;
+};
@@ -0,0 +1,484 @@
+const crypto = require("crypto");
+const { Order } = require("../models");
+const auditService = require("./auditService");
+const realtimeService = require("./realtimeService");
+const contactService = require("./contactService");
+const qpayService = require("./qpayService");
+
+/**
+ * Order payments: recording money received, provider invoices (QPay) and
+ * bank statement reconciliation
+ * Payment status is derived from the recorded transactions in the Order
+ * pre-save hook; never set it directly.
+ */
+
+// Payment providers by name; each implements createInvoice and checkPayments (see qpayService).
+// A new provider also needs its name in the Order payment method and transaction source enums.
+const PROVIDERS = { [qpayService.name]: qpayService };
+
+// How customers say they'll pay -> Order payment.method
+const METHOD_KEYWORDS = [
+  ["qpay", /qpay|кюпэй/i],
+  ["cash_on_delivery", /бэлн|бэлэн|cash|хүргэлтээр/i],
+  ["card", /карт|card/i],
+  ["bank_transfer", /данс|шилжүүл|банк|bank|transfer/i],
+];
+
+// Bank statement column names (lowercased) for each field we read
+const STATEMENT_COLUMNS = {
+  id: ["гүйлгээний дугаар", "дугаар", "transaction id", "id"],
+  date: ["гүйлгээний огноо", "огноо", "transaction date", "date"],
+  amount: ["гүйлгээний дүн", "дүн", "орлого", "amount", "credit"],
+  description: [
+    "гүйлгээний утга",
+    "утга",
+    "тайлбар",
+    "description",
+    "details",
+    "reference",
+  ],
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) throw httpError(400, `Unknown payment provider: ${name}`);
+  return provider;
+}
+
+/**
+ * Payment method from the AI's free-text payment_method
+ * @param {string} text - e.g. "дансаар шилжүүлнэ"
+ * @returns {string|undefined} One of Order.PAYMENT_METHODS, or undefined when not said
+ */
+exports.normalizeMethod = (text) => {
+  if (!text) return undefined;
+  const match = METHOD_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : "other";
+};
+
+// The payment status rule of Order's pre-save hook, for update pipelines
+const PAYMENT_STATUS = {
+  $switch: {
+    branches: [
+      { case: { $lte: ["$payment.amountPaid", 0] }, then: "unpaid" },
+      {
+        case: {
+          $or: [
+            { $lt: ["$payment.amountPaid", "$payment.amountDue"] },
+            { $not: ["$payment.amountDue"] },
+            // An order with unpriced lines can't be settled yet
+            {
+              $in: [
+                null,
+                {
+                  $map: {
+                    input: { $ifNull: ["$items", []] },
+                    in: { $ifNull: ["$$this.price", null] },
+                  },
+                },
+              ],
+            },
+          ],
+        },
+        then: "partial",
+      },
+    ],
+    default: "paid",
+  },
+};
+
+/**
+ * What is still owed on an order
+ */
+function balanceOf(order) {
+  return Math.max(0, order.payment.amountDue - order.payment.amountPaid);
+}
+
+/**
+ * Record money received for an order
+ * A transaction with an externalId is recorded at most once, even when a
+ * callback and an import race each other.
+ * @param {object} order - Order document
+ * @param {object} transaction - { amount, source, externalId, reference, paidAt }
+ * @param {object} actor - Audit log actor
+ * @returns {object} { order, duplicate }
+ */
+exports.recordPayment = async (order, transaction, actor) => {
+  const amount = Number(transaction.amount);
+  if (!(amount > 0)) throw httpError(400, "Payment amount must be positive");
+
+  const filter = { _id: order._id };
+  if (transaction.externalId) {
+    filter["payment.transactions"] = {
+      $not: {
+        $elemMatch: {
+          source: transaction.source,
+          externalId: transaction.externalId,
+        },
+      },
+    };
+  }
+
+  // Cast as a pushed subdocument would be; pipeline updates are not cast
+  const entry = order.payment.transactions
+    .create({
+      ...transaction,
+      amount,
+      paidAt: transaction.paidAt || new Date(),
+      recordedBy: actor.user,
+    })
+    .toObject();
+  // One update settles the status too, so no later save can disagree with it
+  const claim = await Order.updateOne(filter, [
+    {
+      $set: {
+        "payment.transactions": {
+          $concatArrays: [
+            { $ifNull: ["$payment.transactions", []] },
+            [{ $literal: entry }],
+          ],
+        },
+        "payment.amountPaid": {
+          $add: [{ $ifNull: ["$payment.amountPaid", 0] }, amount],
+        },
+        "payment.amountDue": "$totalAmount",
+        ...(transaction.reference && {
+          "payment.reference": { $literal: transaction.reference },
+        }),
+      },
+    },
+    { $set: { "payment.status": PAYMENT_STATUS } },
+    {
+      $set: {
+        "payment.paidAt": {
+          $cond: [
+            { $eq: ["$payment.status", "paid"] },
+            { $ifNull: ["$payment.paidAt", entry.paidAt] },
+            "$$REMOVE",
+          ],
+        },
+      },
+    },
+  ]);
+  if (claim.modifiedCount === 0) return { order, duplicate: true };
+
+  const before = {
+    amountPaid: order.payment.amountPaid,
+    status: order.payment.status,
+  };
+  const updated = await Order.findById(order._id);
+
+  await auditService.record({
+    store: updated.store,
+    entityType: "order",
+    entityId: updated._id,
+    action: "order.payment_recorded",
+    actor,
+    before: { payment: before },
+    after: {
+      payment: {
+        amountPaid: updated.payment.amountPaid,
+        status: updated.payment.status,
+      },
+    },
+    note: `${transaction.source}: ₮${amount}${transaction.reference ? ` (${transaction.reference})` : ""}`,
+  });
+
+  realtimeService.publish(
+    updated.store,
+    updated.payment.status === "paid" ? "order.paid" : "order.payment_received",
+    {
+      orderId: updated._id,
+      amount,
+      amountPaid: updated.payment.amountPaid,
+      amountDue: updated.payment.amountDue,
+      source: transaction.source,
+    },
+  );
+  console.log(
+    `💳 Payment ₮${amount} (${transaction.source}) for order ${updated._id}: ${updated.payment.status}`,
+  );
+  return { order: updated, duplicate: false };
+};
+
+/**
+ * An operator confirms money arrived (cash, a transfer they checked, ...)
+ * @param {object} order - Order document
+ * @param {object} options - { amount (defaults to the balance), reference, method }
+ * @param {object} actor - Audit log actor
+ */
+exports.markPaid = async (order, options, actor) => {
+  if (order.status === "cancelled") {
+    throw httpError(409, "Cancelled orders can't be paid");
+  }
+  const amount = options.amount ?? balanceOf(order);
+  if (!(amount > 0)) throw httpError(409, "Order is already paid");
+
+  if (options.method) order.payment.method = options.method;
+  if (order.isModified()) await order.save();
+
+  return exports.recordPayment(
+    order,
+    { amount, source: "manual", reference: options.reference },
+    actor,
+  );
+};
+
+/**
+ * Ask a provider for an invoice (e.g. a QPay QR) for the order's balance
+ * @param {object} order - Order document
+ * @param {object} store - Store document
+ * @param {string} providerName - Defaults to "qpay"
+ * @param {object} actor - Audit log actor
+ * @returns {object} The invoice stored on payment.invoice
+ */
+exports.createInvoice = async (order, store, providerName, actor) => {
+  const provider = getProvider(providerName || "qpay");
+  if (provider.isConfigured && !provider.isConfigured()) {
+    throw httpError(503, `${provider.name} is not configured`);
+  }
+  if (order.status === "cancelled") {
+    throw httpError(409, "Cancelled orders can't be paid");
+  }
+  if (balanceOf(order) <= 0) throw httpError(409, "Order is already paid");
+
+  const invoice = await provider.createInvoice(order, store);
+  order.payment.method = provider.name;
+  order.payment.invoice = {
+    ...invoice,
+    provider: provider.name,
+    createdAt: new Date(),
+  };
+  await order.save();
+
+  await auditService.record({
+    store: order.store,
+    entityType: "order",
+    entityId: order._id,
+    action: "order.invoice_created",
+    actor,
+    before: null,
+    after: {
+      provider: provider.name,
+      invoiceId: invoice.invoiceId,
+      amount: balanceOf(order),
+    },
+  });
+  return order.payment.invoice;
+};
+
+/**
+ * A provider says an invoice was paid: ask it what was paid and record that
+ * The callback itself carries nothing we trust except which order to check.
+ * @param {string} providerName - e.g. "qpay"
+ * @param {string} orderId - From our callback URL
+ * @returns {object|null} { order, recorded } or null when there is no open invoice
+ */
+exports.handleCallback = async (providerName, orderId) => {
+  const provider = getProvider(providerName);
+  let order = await Order.findById(orderId).catch(() => null);
+  const invoiceId = order?.payment?.invoice?.invoiceId;
+  if (!invoiceId || order.payment.invoice.provider !== provider.name) {
+    return null;
+  }
+
+  const actor = { type: "system", name: provider.name };
+  let recorded = 0;
+  for (const payment of await provider.checkPayments(invoiceId)) {
+    const result = await exports.recordPayment(
+      order,
+      { ...payment, source: provider.name },
+      actor,
+    );
+    if (!result.duplicate) recorded += 1;
+    order = result.order;
+  }
+  return { order, recorded };
+};
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold delimiters and newlines)
+ * The delimiter (comma, semicolon or tab) is taken from the header line.
+ */
+function parseCsv(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [";", "\t", ","].reduce((best, candidate) =>
+    header.split(candidate).length > header.split(best).length
+      ? candidate
+      : best,
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+}
+
+/**
+ * Statement date, or undefined when the bank's format doesn't parse
+ */
+function parseDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : undefined;
+}
+
+/**
+ * "1,250,000.00" / "1 250 000" -> 1250000
+ */
+function parseAmount(value) {
+  return parseFloat(String(value).replace(/[\s,₮]/g, "")) || 0;
+}
+
+/**
+ * Incoming transfers from a bank statement export
+ * Outgoing (negative) lines are skipped.
+ * @param {string} csv - Statement as CSV text
+ * @returns {Array} [{ externalId, date, amount, description }]
+ * @throws {Error} with status 400 when the amount/description columns can't be found
+ */
+exports.parseBankStatement = (csv) => {
+  const [header, ...lines] = parseCsv(String(csv || ""));
+  if (!header) throw httpError(400, "Bank statement is empty");
+
+  const names = header.map((name) => name.toLowerCase());
+  const column = {};
+  Object.entries(STATEMENT_COLUMNS).forEach(([field, aliases]) => {
+    const alias = aliases.find((a) => names.includes(a));
+    column[field] = alias ? names.indexOf(alias) : -1;
+  });
+  if (column.amount === -1 || column.description === -1) {
+    throw httpError(
+      400,
+      "Bank statement needs amount and description columns (e.g. 'Дүн', 'Гүйлгээний утга')",
+    );
+  }
+
+  // How many identical lines came before, per line
+  const seen = new Map();
+  return lines
+    .map((cells) => {
+      const date = column.date === -1 ? null : cells[column.date];
+      const amount = parseAmount(cells[column.amount]);
+      const description = cells[column.description] || "";
+      // Statements without ids: the line itself identifies the transfer, and
+      // identical transfers on the same day are told apart by their order
+      const line = `${date}|${amount}|${description}`;
+      const repeat = seen.get(line) || 0;
+      seen.set(line, repeat + 1);
+      const externalId =
+        (column.id !== -1 && cells[column.id]) ||
+        `csv:${crypto
+          .createHash("sha1")
+          .update(repeat ? `${line}|${repeat}` : line)
+          .digest("hex")}`;
+      return { externalId, date, amount, description };
+    })
+    .filter((transfer) => transfer.amount > 0);
+};
+
+/**
+ * Match statement transfers to unpaid orders and record the matches
+ * A transfer matches when its description mentions the order's phone number
+ * and its amount is exactly the order's balance. Anything else (no match,
+ * several candidates) is left for an operator.
+ * @param {object} store - Store document
+ * @param {Array} transfers - From parseBankStatement
+ * @param {object} actor - Audit log actor
+ * @returns {object} { matched, ambiguous, unmatched, duplicates }
+ */
+exports.reconcileStatement = async (store, transfers, actor) => {
+  const openOrders = await Order.find({
+    store: store._id,
+    status: { $ne: "cancelled" },
+    "payment.status": { $ne: "paid" },
+  });
+  const summary = { matched: [], ambiguous: [], unmatched: [], duplicates: [] };
+
+  for (const transfer of transfers) {
+    const imported = await Order.exists({
+      store: store._id,
+      "payment.transactions": {
+        $elemMatch: { source: "bank_csv", externalId: transfer.externalId },
+      },
+    });
+    if (imported) {
+      summary.duplicates.push(transfer);
+      continue;
+    }
+
+    const phones = contactService.findPhones(transfer.description);
+    const candidates = openOrders.filter(
+      (order) =>
+        phones.includes(order.phoneNumber) &&
+        balanceOf(order) === transfer.amount,
+    );
+
+    if (candidates.length === 0) {
+      summary.unmatched.push(transfer);
+    } else if (candidates.length > 1) {
+      summary.ambiguous.push({
+        ...transfer,
+        orderIds: candidates.map((order) => order._id),
+      });
+    } else {
+      const { order, duplicate } = await exports.recordPayment(
+        candidates[0],
+        {
+          amount: transfer.amount,
+          source: "bank_csv",
+          externalId: transfer.externalId,
+          reference: transfer.description,
+          paidAt: parseDate(transfer.date),
+        },
+        actor,
+      );
+      if (duplicate) {
+        summary.duplicates.push(transfer);
+        continue;
+      }
+      summary.matched.push({ ...transfer, orderId: order._id });
+      // Paid now; don't match a second transfer to it
+      openOrders.splice(openOrders.indexOf(candidates[0]), 1);
+    }
+  }
+
+  console.log(
+    `🏦 Bank statement for ${store.name}: ${summary.matched.length} matched, ${summary.ambiguous.length} ambiguous, ${summary.unmatched.length} unmatched`,
+  );
+  return summary;
+};
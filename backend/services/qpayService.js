@@ -0,0 +1,110 @@
+const axios = require("axios");
+
+/**
+ * QPay (merchant API v2) payment provider
+ * Implements the provider interface paymentService expects:
+ *   name
+ *   createInvoice(order, store) -> { invoiceId, qrText, qrImage, url }
+ *   checkPayments(invoiceId)    -> [{ externalId, amount, paidAt, reference }]
+ * Callbacks are never trusted on their own: paymentService asks checkPayments
+ * what was actually paid.
+ */
+
+const BASE_URL = process.env.QPAY_BASE_URL || "https://merchant.qpay.mn/v2";
+
+let token = null;
+let tokenExpiresAt = 0;
+
+/**
+ * Bearer token, cached until shortly before it expires
+ */
+async function getToken() {
+  if (token && Date.now() < tokenExpiresAt) return token;
+
+  const response = await axios.post(
+    `${BASE_URL}/auth/token`,
+    {},
+    {
+      auth: {
+        username: process.env.QPAY_CLIENT_ID,
+        password: process.env.QPAY_CLIENT_SECRET,
+      },
+    },
+  );
+
+  token = response.data.access_token;
+  // expires_in is in seconds; renew a minute early
+  tokenExpiresAt =
+    Date.now() + ((parseInt(response.data.expires_in) || 3600) - 60) * 1000;
+  return token;
+}
+
+async function request(method, path, data) {
+  const response = await axios({
+    method,
+    url: `${BASE_URL}${path}`,
+    data,
+    headers: { Authorization: `Bearer ${await getToken()}` },
+  });
+  return response.data;
+}
+
+exports.name = "qpay";
+
+/**
+ * Is the merchant account configured?
+ */
+exports.isConfigured = () =>
+  Boolean(
+    process.env.QPAY_CLIENT_ID &&
+    process.env.QPAY_CLIENT_SECRET &&
+    process.env.QPAY_INVOICE_CODE,
+  );
+
+/**
+ * Create a QR invoice for what is still owed on an order
+ * @param {object} order - Order document
+ * @param {object} store - Store document
+ * @returns {object} { invoiceId, qrText, qrImage, url }
+ */
+exports.createInvoice = async (order, store) => {
+  const amount = order.payment.amountDue - order.payment.amountPaid;
+  const callbackUrl = `${process.env.PUBLIC_URL}/api/payments/qpay/callback?order=${order._id}`;
+
+  const data = await request("post", "/invoice", {
+    invoice_code: process.env.QPAY_INVOICE_CODE,
+    sender_invoice_no: String(order._id),
+    invoice_receiver_code: order.phoneNumber,
+    invoice_description: `${store.name} захиалга ${order._id}`,
+    amount,
+    callback_url: callbackUrl,
+  });
+
+  return {
+    invoiceId: data.invoice_id,
+    qrText: data.qr_text,
+    qrImage: data.qr_image,
+    url: data.qPay_shortUrl,
+  };
+};
+
+/**
+ * Payments QPay has settled for an invoice
+ * @param {string} invoiceId - QPay invoice_id
+ * @returns {Array} [{ externalId, amount, paidAt, reference }]
+ */
+exports.checkPayments = async (invoiceId) => {
+  const data = await request("post", "/payment/check", {
+    object_type: "INVOICE",
+    object_id: invoiceId,
+  });
+
+  return (data.rows || [])
+    .filter((row) => row.payment_status === "PAID")
+    .map((row) => ({
+      externalId: String(row.payment_id),
+      amount: Number(row.payment_amount),
+      paidAt: row.payment_date ? new Date(row.payment_date) : new Date(),
+      reference: `QPay ${row.payment_id}`,
+    }));
+};
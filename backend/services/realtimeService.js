@@ -0,0 +1,56 @@
+const { EventEmitter } = require("events");
+
+/**
+ * In-process pub/sub for the dashboard's live feed (Server-Sent Events)
+ * Events are scoped to a store; subscribers only receive their own stores' events.
+ * Runs in a single process - a multi-instance deployment would need a shared broker.
+ */
+class RealtimeService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open dashboard
+    this.clients = 0;
+    this.lastEventId = 0;
+  }
+
+  /**
+   * Push an event to everyone watching a store
+   * @param {string} storeId - Store the event belongs to
+   * @param {string} type - e.g. "order.created", "message.received"
+   * @param {object} data - JSON-serialisable payload
+   */
+  publish(storeId, type, data = {}) {
+    if (!storeId) return;
+    this.lastEventId += 1;
+    this.emitter.emit("event", {
+      id: this.lastEventId,
+      store: String(storeId),
+      type,
+      data,
+      at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Listen to events for some stores
+   * @param {Array} storeIds - Stores the subscriber may see
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(storeIds, listener) {
+    const stores = new Set(storeIds.map(String));
+    const handler = (event) => {
+      if (stores.has(event.store)) listener(event);
+    };
+
+    this.emitter.on("event", handler);
+    this.clients += 1;
+
+    return () => {
+      this.emitter.off("event", handler);
+      this.clients -= 1;
+    };
+  }
+}
+
+module.exports = new RealtimeService();
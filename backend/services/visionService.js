@@ -0,0 +1,153 @@
+const path = require("path");
+const OpenAI = require("openai");
+
+/**
+ * Reads customer images: is it one of our products, or a payment receipt?
+ * The work is done by a provider, chosen with VISION_PROVIDER:
+ * - "openai" (default): GPT-4o-mini vision
+ * - "stub": offline heuristics on the image URL, for tests and local runs
+ *
+ * Every provider implements
+ *   analyzeImage({ url, catalog }) -> {
+ *     kind: "product" | "receipt" | "other",
+ *     productNames: [string],          // catalog names the image shows
+ *     receipt: { amount, reference, paidAt } | null,
+ *     confidence: number,              // 0..1
+ *   }
+ */
+
+const KINDS = ["product", "receipt", "other"];
+
+/**
+ * Offline provider: no network, decisions come from the URL alone
+ * A URL that is one of a product's images is that product; a file name
+ * mentioning a receipt is a receipt; anything else is "other".
+ */
+const stubProvider = {
+  name: "stub",
+  async analyzeImage({ url, catalog = [] }) {
+    const file = path.basename(String(url).split("?")[0]).toLowerCase();
+
+    const shown = catalog.filter((product) =>
+      (product.images || []).some(
+        (image) =>
+          image === url ||
+          path.basename(image.split("?")[0]).toLowerCase() === file,
+      ),
+    );
+    if (shown.length > 0) {
+      return {
+        kind: "product",
+        productNames: shown.map((p) => p.name),
+        receipt: null,
+        confidence: 1,
+      };
+    }
+
+    if (/receipt|barimt|баримт|guilgee|гүйлгээ|transfer/.test(file)) {
+      return {
+        kind: "receipt",
+        productNames: [],
+        receipt: null,
+        confidence: 0.5,
+      };
+    }
+
+    return { kind: "other", productNames: [], receipt: null, confidence: 0 };
+  },
+};
+
+/**
+ * GPT-4o-mini vision; the catalog names are given so it answers with our names
+ */
+function createOpenAIProvider() {
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+  return {
+    name: "openai",
+    async analyzeImage({ url, catalog = [] }) {
+      const names = catalog.map((p) => `- ${p.name}`).join("\n");
+      const completion = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+          {
+            role: "system",
+            content: `Чи онлайн дэлгүүрийн туслах. Хэрэглэгчийн илгээсэн зургийг ангил.
+- 'product': Дэлгүүрийн барааны зураг эсвэл постын дэлгэцийн зураг. 'productNames'-д доорх жагсаалтаас таарах нэрийг яг тэр хэвээр бич.
+- 'receipt': Банкны шилжүүлэг, төлбөрийн баримт. 'receipt'-д дүн (тоо), гүйлгээний утга, огноог бич.
+- 'other': Бусад.
+
+ДЭЛГҮҮРИЙН БАРАА:
+${names || "(хоосон)"}
+
+JSON: { "kind": "product | receipt | other", "productNames": [string], "receipt": { "amount": number, "reference": string, "paidAt": string } | null, "confidence": number }`,
+          },
+          {
+            role: "user",
+            content: [{ type: "image_url", image_url: { url } }],
+          },
+        ],
+        temperature: 0,
+        response_format: { type: "json_object" },
+      });
+
+      return JSON.parse(completion.choices[0].message.content);
+    },
+  };
+}
+
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    provider =
+      process.env.VISION_PROVIDER === "stub"
+        ? stubProvider
+        : createOpenAIProvider();
+  }
+  return provider;
+}
+
+/**
+ * Replace the provider, e.g. with stubProvider or a custom one in tests
+ * @param {object} custom - Object with analyzeImage({ url, catalog })
+ */
+exports.useProvider = (custom) => {
+  provider = custom;
+};
+
+/**
+ * Classify one image
+ * Never throws: a failing provider reads as "other" so the chat carries on.
+ * @param {string} url - Image URL from the Messenger attachment
+ * @param {Array} catalog - Store products
+ * @returns {object} { kind, productNames, receipt, confidence, provider }
+ */
+exports.analyzeImage = async (url, catalog = []) => {
+  const current = getProvider();
+  try {
+    const result = await current.analyzeImage({ url, catalog });
+    const analysis = {
+      kind: KINDS.includes(result?.kind) ? result.kind : "other",
+      productNames: Array.isArray(result?.productNames)
+        ? result.productNames
+        : [],
+      receipt: result?.receipt || null,
+      confidence: Number(result?.confidence) || 0,
+      provider: current.name,
+    };
+    console.log(`👁️  Image analysed (${current.name}): ${analysis.kind}`);
+    return analysis;
+  } catch (error) {
+    console.error("❌ Image analysis failed:", error.message);
+    return {
+      kind: "other",
+      productNames: [],
+      receipt: null,
+      confidence: 0,
+      provider: current.name,
+    };
+  }
+};
+
+exports.stubProvider = stubProvider;
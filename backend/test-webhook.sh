@@ -27,19 +27,31 @@ echo "================================="
 echo "Sending test message: '2 ширхэг цамц авмаар байна, 99119911, БЗД'"
 echo ""
 
+# Deliveries must be signed with FACEBOOK_APP_SECRET (X-Hub-Signature-256)
+APP_SECRET="${FACEBOOK_APP_SECRET:-your_app_secret}"
+PAYLOAD='{"object":"page","entry":[{"id":"test_page_id","messaging":[{"sender":{"id":"test_user_12345"},"message":{"mid":"test_mid_1","text":"2 ширхэг цамц авмаар байна, 99119911, Баянзүрх дүүрэг"}}]}]}'
+SIGNATURE=$(printf '%s' "$PAYLOAD" | openssl dgst -sha256 -hmac "$APP_SECRET" | sed 's/^.* //')
+
 curl -X POST http://localhost:4005/api/webhook \
   -H "Content-Type: application/json" \
-  -d '{
-    "object": "page",
-    "entry": [{
-      "messaging": [{
-        "sender": {"id": "test_user_12345"},
-        "message": {
-          "text": "2 ширхэг цамц авмаар байна, 99119911, Баянзүрх дүүрэг"
-        }
-      }]
-    }]
-  }'
+  -H "X-Hub-Signature-256: sha256=$SIGNATURE" \
+  -d "$PAYLOAD"
+
+echo ""
+echo ""
+
+# Test 3: Unsigned delivery should be rejected
+echo "Test 3: Unsigned Delivery"
+echo "========================="
+UNSIGNED_STATUS=$(curl -s -o /dev/null -w "%{http_code}" -X POST http://localhost:4005/api/webhook \
+  -H "Content-Type: application/json" \
+  -d "$PAYLOAD")
+
+if [ "$UNSIGNED_STATUS" == "401" ]; then
+  echo "✅ Unsigned delivery rejected"
+else
+  echo "❌ Unsigned delivery was NOT rejected (status: $UNSIGNED_STATUS)"
+fi
 
 echo ""
 echo ""
@@ -0,0 +1,63 @@
+const Order = require("../models/Order");
+
+const actor = { type: "user", name: "Owner" };
+
+function orderIn(status) {
+  return new Order({ status, totalAmount: 0 });
+}
+
+describe("Order#transitionTo", () => {
+  it("follows the allowed transitions and records each move", () => {
+    const order = orderIn("pending");
+
+    order.transitionTo("confirmed", actor, "Phoned the customer");
+    order.transitionTo("processing", actor);
+
+    expect(order.status).toBe("processing");
+    expect(order.statusHistory).toHaveLength(2);
+    expect(order.statusHistory[0]).toMatchObject({
+      from: "pending",
+      to: "confirmed",
+      note: "Phoned the customer",
+    });
+    expect(order.statusHistory[0].actor.name).toBe("Owner");
+    expect(order.statusHistory[1]).toMatchObject({
+      from: "confirmed",
+      to: "processing",
+    });
+  });
+
+  it("allows cancelling until the order ships", () => {
+    ["pending", "confirmed", "processing"].forEach((status) => {
+      expect(orderIn(status).transitionTo("cancelled", actor).status).toBe(
+        "cancelled",
+      );
+    });
+    expect(() => orderIn("shipped").transitionTo("cancelled", actor)).toThrow();
+  });
+
+  it("rejects illegal moves with a 409 and the allowed statuses", () => {
+    const order = orderIn("pending");
+
+    let error;
+    try {
+      order.transitionTo("shipped", actor);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.status).toBe(409);
+    expect(error.currentStatus).toBe("pending");
+    expect(error.allowedTransitions).toEqual(["confirmed", "cancelled"]);
+    expect(order.status).toBe("pending");
+    expect(order.statusHistory).toHaveLength(0);
+  });
+
+  it("treats delivered and cancelled as final", () => {
+    expect(Order.STATUS_TRANSITIONS.delivered).toEqual([]);
+    expect(Order.STATUS_TRANSITIONS.cancelled).toEqual([]);
+    expect(() => orderIn("delivered").transitionTo("shipped", actor)).toThrow(
+      "Allowed: none",
+    );
+  });
+});
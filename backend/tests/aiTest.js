@@ -17,6 +17,16 @@ const testCases = [
     message: "Хар цамц 1, гутал 1 авъя. 88889999",
     history: [],
   },
+  {
+    name: "Order Status Question",
+    message: "Өчигдөр захиалсан цамц маань хаана явна?",
+    history: [],
+  },
+  {
+    name: "Cancel A Placed Order",
+    message: "Өчигдрийн захиалгаа цуцлуулмаар байна",
+    history: [],
+  },
 ];
 
 const mockCatalog = [
@@ -42,7 +52,7 @@ async function runTests() {
 
       console.log(`🎯 Intent: ${result.intent}`);
       console.log(`✅ Ready: ${result.isOrderReady}`);
-      console.log(`📦 Extracted Items: ${JSON.stringify(result.data.items)}`);
+      console.log(`🛒 Cart Actions: ${JSON.stringify(result.cartActions)}`);
 
       if (result.isOrderReady) {
         console.log("💰 AI found the items in catalog and calculated prices!");
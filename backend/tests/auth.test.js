@@ -0,0 +1,199 @@
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const { User } = require("../models");
+const {
+  protect,
+  authorize,
+  scopeStores,
+  signToken,
+} = require("../middleware/auth");
+
+const storeA = new mongoose.Types.ObjectId();
+const storeB = new mongoose.Types.ObjectId();
+
+function request({ authorization, accept, query = {} } = {}) {
+  const headers = { authorization, accept };
+  return { query, get: (name) => headers[name.toLowerCase()] };
+}
+
+function response() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function user(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    isActive: true,
+    tokenVersion: 0,
+    memberships: [
+      { store: storeA, role: "owner" },
+      { store: storeB, role: "viewer" },
+    ],
+    ...overrides,
+  };
+}
+
+beforeAll(() => {
+  process.env.JWT_SECRET = "test-jwt-secret";
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("protect", () => {
+  it("loads the user and the stores they belong to", async () => {
+    const account = user();
+    jest.spyOn(User, "findById").mockResolvedValue(account);
+    const req = request({ authorization: `Bearer ${signToken(account)}` });
+    const next = jest.fn();
+
+    await protect(req, response(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toBe(account);
+    expect(req.storeIds).toEqual([String(storeA), String(storeB)]);
+    expect(req.storeRoles.get(String(storeB))).toBe("viewer");
+  });
+
+  it("requires a token", async () => {
+    const res = response();
+    const next = jest.fn();
+
+    await protect(request(), res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("rejects tokens signed with another secret", async () => {
+    const token = jwt.sign({ id: "x", v: 0 }, "another-secret");
+    const res = response();
+
+    await protect(
+      request({ authorization: `Bearer ${token}` }),
+      res,
+      jest.fn(),
+    );
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it("rejects tokens of deactivated users and revoked tokens", async () => {
+    const account = user();
+    const token = signToken(account);
+
+    jest
+      .spyOn(User, "findById")
+      .mockResolvedValue(user({ _id: account._id, isActive: false }));
+    const inactive = response();
+    await protect(
+      request({ authorization: `Bearer ${token}` }),
+      inactive,
+      jest.fn(),
+    );
+    expect(inactive.statusCode).toBe(401);
+
+    User.findById.mockResolvedValue(
+      user({ _id: account._id, tokenVersion: 1 }),
+    );
+    const revoked = response();
+    await protect(
+      request({ authorization: `Bearer ${token}` }),
+      revoked,
+      jest.fn(),
+    );
+    expect(revoked.statusCode).toBe(401);
+  });
+
+  it("only takes ?token= from event streams", async () => {
+    const account = user();
+    jest.spyOn(User, "findById").mockResolvedValue(account);
+    const query = { token: signToken(account) };
+
+    const plain = response();
+    await protect(request({ query }), plain, jest.fn());
+    expect(plain.statusCode).toBe(401);
+
+    const next = jest.fn();
+    await protect(
+      request({ query, accept: "text/event-stream" }),
+      response(),
+      next,
+    );
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe("authorize", () => {
+  function authenticated() {
+    return {
+      storeIds: [String(storeA), String(storeB)],
+      storeRoles: new Map([
+        [String(storeA), "owner"],
+        [String(storeB), "viewer"],
+      ]),
+    };
+  }
+
+  it("narrows the caller's stores to those where they hold the role", () => {
+    const req = authenticated();
+    const next = jest.fn();
+
+    authorize("owner", "operator")(req, response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.storeIds).toEqual([String(storeA)]);
+    expect(scopeStores(req, storeB)).toBeNull();
+  });
+
+  it("forbids callers without the role in any store", () => {
+    const req = authenticated();
+    req.storeRoles.set(String(storeA), "viewer");
+    const res = response();
+    const next = jest.fn();
+
+    authorize("owner")(req, res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Requires role: owner");
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("lets viewers through routes open to every role", () => {
+    const req = authenticated();
+    const next = jest.fn();
+
+    authorize("owner", "operator", "viewer")(req, response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.storeIds).toHaveLength(2);
+  });
+});
+
+describe("scopeStores", () => {
+  const req = { storeIds: [String(storeA), String(storeB)] };
+
+  it("limits queries to the caller's stores", () => {
+    expect(scopeStores(req)).toEqual({ $in: req.storeIds });
+  });
+
+  it("allows a store the caller belongs to", () => {
+    expect(scopeStores(req, storeA)).toBe(String(storeA));
+  });
+
+  it("refuses any other store", () => {
+    expect(scopeStores(req, new mongoose.Types.ObjectId())).toBeNull();
+  });
+});
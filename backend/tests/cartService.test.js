@@ -0,0 +1,161 @@
+const cartService = require("../services/cartService");
+
+const catalog = [
+  { _id: "p1", name: "Хар цамц", price: 25000 },
+  { _id: "p2", name: "Малгай", price: 15000 },
+];
+
+describe("applyActions", () => {
+  it("builds a cart from an empty one", () => {
+    const cart = cartService.applyActions(null, [
+      { type: "add_item", name: "Хар цамц", quantity: 2 },
+      { type: "set_phone", value: "+976 9911-2233" },
+      { type: "set_address", value: "  БЗД 3-р хороо 15-45 " },
+    ]);
+
+    expect(cart).toEqual({
+      items: [{ name: "Хар цамц", quantity: 2, attributes: {} }],
+      phone: "99112233",
+      phoneError: null,
+      address: "БЗД 3-р хороо 15-45",
+      confirmation: null,
+    });
+  });
+
+  it("adds to an existing line matched by normalized name", () => {
+    const cart = cartService.applyActions(
+      { items: [{ name: "Хар цамц", quantity: 1, attributes: {} }] },
+      [{ type: "add_item", name: "har tsamts", attributes: { size: "L" } }],
+    );
+
+    expect(cart.items).toEqual([
+      { name: "Хар цамц", quantity: 2, attributes: { size: "L" } },
+    ]);
+  });
+
+  it("changes and removes lines", () => {
+    const start = {
+      items: [
+        { name: "Хар цамц", quantity: 1, attributes: {} },
+        { name: "Малгай", quantity: 1, attributes: {} },
+      ],
+    };
+
+    expect(
+      cartService.applyActions(start, [
+        { type: "set_quantity", name: "Хар цамц", quantity: "3" },
+        { type: "remove_item", name: "Малгай" },
+      ]).items,
+    ).toEqual([{ name: "Хар цамц", quantity: 3, attributes: {} }]);
+
+    expect(
+      cartService.applyActions(start, [
+        { type: "set_quantity", name: "Малгай", quantity: 0 },
+      ]).items,
+    ).toEqual([{ name: "Хар цамц", quantity: 1, attributes: {} }]);
+  });
+
+  it("never modifies the cart it was given", () => {
+    const start = { items: [{ name: "Малгай", quantity: 1, attributes: {} }] };
+
+    cartService.applyActions(start, [
+      { type: "set_quantity", name: "Малгай", quantity: 5 },
+      { type: "clear" },
+    ]);
+
+    expect(start).toEqual({
+      items: [{ name: "Малгай", quantity: 1, attributes: {} }],
+    });
+  });
+
+  it("ignores unknown actions and lines that are not in the cart", () => {
+    const start = { items: [{ name: "Малгай", quantity: 1, attributes: {} }] };
+
+    const cart = cartService.applyActions(start, [
+      { type: "checkout" },
+      null,
+      { type: "remove_item", name: "Пүүз" },
+      { type: "set_attributes", name: "Пүүз", attributes: { size: "41" } },
+    ]);
+
+    expect(cart.items).toEqual(start.items);
+  });
+
+  it("keeps the last good phone and remembers a bad one", () => {
+    const cart = cartService.applyActions({ phone: "99112233", items: [] }, [
+      { type: "set_phone", value: "12345" },
+    ]);
+
+    expect(cart.phone).toBe("99112233");
+    expect(cart.phoneError).toBe("12345");
+  });
+
+  it("drops a pending confirmation whenever the cart changes", () => {
+    const confirmed = {
+      items: [{ name: "Малгай", quantity: 1, attributes: {} }],
+      confirmation: { id: "abc" },
+    };
+
+    expect(cartService.applyActions(confirmed, []).confirmation).toEqual({
+      id: "abc",
+    });
+    expect(
+      cartService.applyActions(confirmed, [
+        { type: "add_item", name: "Малгай" },
+      ]).confirmation,
+    ).toBeNull();
+  });
+
+  it("empties everything on clear", () => {
+    const cart = cartService.applyActions(
+      { items: [{ name: "Малгай", quantity: 1 }], phone: "99112233" },
+      [{ type: "clear" }],
+    );
+
+    expect(cart).toMatchObject(cartService.emptyCart());
+  });
+});
+
+describe("missingFields", () => {
+  it("lists what the order still needs, by the AI's field names", () => {
+    expect(cartService.missingFields(cartService.emptyCart())).toEqual([
+      "items",
+      "phone",
+      "full_address",
+    ]);
+    expect(
+      cartService.isComplete({
+        items: [{ name: "Малгай", quantity: 1 }],
+        phone: "99112233",
+        address: "БЗД",
+      }),
+    ).toBe(true);
+  });
+});
+
+describe("formatCart", () => {
+  it("prices lines from the catalog", () => {
+    const text = cartService.formatCart(
+      {
+        items: [
+          { name: "хар цамц", quantity: 2 },
+          { name: "ноосон малгай", quantity: 1 },
+        ],
+        phone: "99112233",
+        address: null,
+      },
+      catalog,
+    );
+
+    expect(text).toBe(
+      [
+        "🛒 Таны сагс:",
+        "• Хар цамц x 2 = ₮50000",
+        "• ноосон малгай x 1",
+        "Нийт: ₮50000",
+        "Утас: 99112233",
+        "Хаяг: —",
+      ].join("\n"),
+    );
+  });
+});
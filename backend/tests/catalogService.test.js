@@ -0,0 +1,127 @@
+const catalogService = require("../services/catalogService");
+
+const catalog = [
+  { _id: "p1", name: "Хар цамц", price: 25000 },
+  { _id: "p2", name: "Цагаан цамц", price: 27000 },
+  {
+    _id: "p3",
+    name: "Пүүз",
+    price: 90000,
+    options: [
+      { name: "Хэмжээ", values: ["40", "41", "42"] },
+      { name: "Өнгө", values: ["Хар"] },
+    ],
+    variants: [
+      { sku: "SHOE-40", attributes: { Хэмжээ: "40", Өнгө: "Хар" }, stock: 2 },
+      {
+        sku: "SHOE-41",
+        attributes: { Хэмжээ: "41", Өнгө: "Хар" },
+        price: 95000,
+        stock: 1,
+      },
+      {
+        sku: "SHOE-42",
+        attributes: { Хэмжээ: "42", Өнгө: "Хар" },
+        isActive: false,
+      },
+    ],
+  },
+];
+
+describe("matchProduct", () => {
+  it("matches the exact name, ignoring case", () => {
+    expect(catalogService.matchProduct("хар цамц", catalog)).toEqual({
+      product: catalog[0],
+      matchType: "exact",
+      score: 1,
+    });
+  });
+
+  it("matches Latin spellings through normalization", () => {
+    const match = catalogService.matchProduct("Har tsamts!", catalog);
+    expect(match.product).toBe(catalog[0]);
+    expect(match.matchType).toBe("normalized");
+  });
+
+  it("matches small typos fuzzily", () => {
+    const match = catalogService.matchProduct("цагаан цамз", catalog);
+    expect(match.product).toBe(catalog[1]);
+    expect(match.matchType).toBe("fuzzy");
+    expect(match.score).toBeGreaterThanOrEqual(0.75);
+  });
+
+  it("gives up on unknown or empty names", () => {
+    expect(catalogService.matchProduct("ноосон малгай", catalog)).toBeNull();
+    expect(catalogService.matchProduct("", catalog)).toBeNull();
+  });
+});
+
+describe("resolveItems", () => {
+  it("prices matched lines from the catalog, never from the input", () => {
+    const { items, unmatched, needsVariant } = catalogService.resolveItems(
+      [{ name: "хар цамц", quantity: "2", price: 1 }],
+      catalog,
+    );
+    expect(items).toEqual([
+      {
+        product: "p1",
+        itemName: "Хар цамц",
+        requestedName: "хар цамц",
+        matchType: "exact",
+        quantity: 2,
+        price: 25000,
+        attributes: {},
+      },
+    ]);
+    expect(unmatched).toEqual([]);
+    expect(needsVariant).toEqual([]);
+  });
+
+  it("leaves unmatched lines unpriced", () => {
+    const { items, unmatched } = catalogService.resolveItems(
+      [{ name: "ноосон малгай" }],
+      catalog,
+    );
+    expect(items[0]).toMatchObject({ itemName: "ноосон малгай", quantity: 1 });
+    expect(items[0].price).toBeUndefined();
+    expect(items[0].product).toBeUndefined();
+    expect(unmatched).toEqual(["ноосон малгай"]);
+  });
+
+  it("picks the variant and its own price once every option is chosen", () => {
+    const { items, needsVariant } = catalogService.resolveItems(
+      [{ name: "пүүз", quantity: 1, attributes: { size: "41" } }],
+      catalog,
+    );
+    expect(needsVariant).toEqual([]);
+    expect(items[0]).toMatchObject({
+      sku: "SHOE-41",
+      price: 95000,
+      attributes: { Хэмжээ: "41", Өнгө: "Хар" },
+    });
+  });
+
+  it("asks for options the customer has not chosen", () => {
+    const { items, needsVariant } = catalogService.resolveItems(
+      [{ name: "пүүз" }],
+      catalog,
+    );
+    expect(items[0].sku).toBeUndefined();
+    expect(needsVariant).toEqual([
+      {
+        name: "Пүүз",
+        missing: [{ name: "Хэмжээ", values: ["40", "41", "42"] }],
+      },
+    ]);
+  });
+
+  it("reports inactive variants as unavailable", () => {
+    const { needsVariant } = catalogService.resolveItems(
+      [{ name: "пүүз", attributes: { size: "42" } }],
+      catalog,
+    );
+    expect(needsVariant).toEqual([
+      { name: "Пүүз", unavailable: { Хэмжээ: "42", Өнгө: "Хар" } },
+    ]);
+  });
+});
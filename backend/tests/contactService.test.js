@@ -0,0 +1,79 @@
+const contactService = require("../services/contactService");
+
+describe("normalizePhone", () => {
+  it("keeps a plain 8-digit mobile number", () => {
+    expect(contactService.normalizePhone("99112233")).toBe("99112233");
+  });
+
+  it("strips spaces, dashes and the +976 prefix", () => {
+    expect(contactService.normalizePhone("+976 9911-2233")).toBe("99112233");
+    expect(contactService.normalizePhone("976 88 11 22 33")).toBe("88112233");
+  });
+
+  it("rejects numbers that are not Mongolian mobiles", () => {
+    expect(contactService.normalizePhone("12345678")).toBeNull();
+    expect(contactService.normalizePhone("9911223")).toBeNull();
+    expect(contactService.normalizePhone("")).toBeNull();
+    expect(contactService.normalizePhone(undefined)).toBeNull();
+  });
+});
+
+describe("findPhones", () => {
+  it("finds every number in a transfer description once", () => {
+    expect(
+      contactService.findPhones("99112233 zahialga, utas 9911-2233, 88001122"),
+    ).toEqual(["99112233", "88001122"]);
+  });
+});
+
+describe("parseAddress", () => {
+  it("splits a typical Cyrillic address", () => {
+    expect(
+      contactService.parseAddress("бзд 3р хороо 15-р байр 45 тоот"),
+    ).toEqual({
+      district: "Баянзүрх",
+      khoroo: 3,
+      building: "15",
+      apartment: "45",
+      landmark: null,
+    });
+  });
+
+  it("reads Latin spellings and labels after the number", () => {
+    expect(
+      contactService.parseAddress("khan-uul duureg 11 khoroo 8 bair 12 toot"),
+    ).toMatchObject({
+      district: "Хан-Уул",
+      khoroo: 11,
+      building: "8",
+      apartment: "12",
+    });
+  });
+
+  it("understands building-apartment shorthand", () => {
+    expect(contactService.parseAddress("СБД 1-р хороо 15-45")).toMatchObject({
+      district: "Сүхбаатар",
+      khoroo: 1,
+      building: "15",
+      apartment: "45",
+    });
+  });
+
+  it("keeps unrecognised text as the landmark", () => {
+    const parts = contactService.parseAddress(
+      "Улаанбаатар хот, ЧД 2-р хороо, их дэлгүүрийн ард",
+    );
+    expect(parts.district).toBe("Чингэлтэй");
+    expect(parts.landmark).toBe("их дэлгүүрийн ард");
+  });
+
+  it("returns empty parts for an empty address", () => {
+    expect(contactService.parseAddress("")).toEqual({
+      district: null,
+      khoroo: null,
+      building: null,
+      apartment: null,
+      landmark: null,
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const { WebhookJob, DeadLetterEvent, ProcessedEvent } = require("../models");
+const eventQueueService = require("../services/eventQueueService");
+
+// Ids that sort in creation order, like real ones
+const id = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, "0"));
+
+/**
+ * In-memory stand-in for the queries claimNext makes
+ */
+function useJobs(jobs) {
+  jest.spyOn(WebhookJob, "findOne").mockImplementation((filter) => {
+    const due = jobs
+      .filter(
+        (job) =>
+          job.status === "pending" &&
+          job.nextRunAt <= filter.nextRunAt.$lte &&
+          !filter.senderPsid.$nin.includes(job.senderPsid),
+      )
+      .sort((a, b) => a.nextRunAt - b.nextRunAt || (a._id < b._id ? -1 : 1));
+    const query = {
+      sort: () => query,
+      select: () => Promise.resolve(due[0] || null),
+    };
+    return query;
+  });
+  jest
+    .spyOn(WebhookJob, "exists")
+    .mockImplementation(async (filter) =>
+      jobs.some(
+        (job) =>
+          job.senderPsid === filter.senderPsid &&
+          filter.status.$in.includes(job.status) &&
+          job._id < filter._id.$lt,
+      ),
+    );
+  jest
+    .spyOn(WebhookJob, "findOneAndUpdate")
+    .mockImplementation(async (filter) => {
+      const job = jobs.find(
+        (j) => j._id.equals(filter._id) && j.status === filter.status,
+      );
+      if (!job) return null;
+      job.status = "processing";
+      job.attempts += 1;
+      return job;
+    });
+}
+
+function job(n, senderPsid, overrides = {}) {
+  return {
+    _id: id(n),
+    senderPsid,
+    status: "pending",
+    attempts: 0,
+    maxAttempts: 3,
+    nextRunAt: new Date(0),
+    ...overrides,
+  };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("claimNext", () => {
+  it("takes the oldest due job", async () => {
+    const jobs = [job(1, "A"), job(2, "B")];
+    useJobs(jobs);
+
+    const claimed = await eventQueueService.claimNext();
+
+    expect(claimed._id).toEqual(id(1));
+    expect(claimed.status).toBe("processing");
+    expect(claimed.attempts).toBe(1);
+  });
+
+  it("holds a sender's later jobs while an earlier one waits out its backoff", async () => {
+    const later = new Date(Date.now() + 60 * 1000);
+    const jobs = [
+      job(1, "A", { attempts: 1, nextRunAt: later }),
+      job(2, "A"),
+      job(3, "B"),
+    ];
+    useJobs(jobs);
+
+    const claimed = await eventQueueService.claimNext();
+    expect(claimed._id).toEqual(id(3));
+    expect(await eventQueueService.claimNext()).toBeNull();
+    expect(jobs[1].status).toBe("pending");
+  });
+
+  it("holds a sender's later jobs while an earlier one is processing", async () => {
+    useJobs([job(1, "A", { status: "processing" }), job(2, "A")]);
+
+    expect(await eventQueueService.claimNext()).toBeNull();
+  });
+
+  it("returns null when nothing is due", async () => {
+    useJobs([job(1, "A", { nextRunAt: new Date(Date.now() + 60 * 1000) })]);
+
+    expect(await eventQueueService.claimNext()).toBeNull();
+  });
+});
+
+describe("runJob", () => {
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+    jest
+      .spyOn(WebhookJob, "updateOne")
+      .mockImplementation(async (filter, update) => {
+        updates.push(update);
+        return { modifiedCount: 1 };
+      });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("marks a handled job completed", async () => {
+    eventQueueService.handler = jest.fn().mockResolvedValue();
+
+    await eventQueueService.runJob(job(1, "A", { attempts: 1 }));
+
+    expect(eventQueueService.handler).toHaveBeenCalledWith(
+      expect.objectContaining({ senderPsid: "A" }),
+      { isLastAttempt: false },
+    );
+    expect(updates[0].$set.status).toBe("completed");
+  });
+
+  it("reschedules a failed job with backoff", async () => {
+    eventQueueService.handler = jest.fn().mockRejectedValue(new Error("boom"));
+    const before = Date.now();
+
+    await eventQueueService.runJob(job(1, "A", { attempts: 1 }));
+
+    const { $set } = updates[0];
+    expect($set.status).toBe("pending");
+    expect($set.lastError).toBe("boom");
+    expect($set.nextRunAt.getTime()).toBeGreaterThanOrEqual(before + 5000);
+  });
+
+  it("dead-letters a job that failed its last attempt", async () => {
+    eventQueueService.handler = jest.fn().mockRejectedValue(new Error("boom"));
+    const create = jest.spyOn(DeadLetterEvent, "create").mockResolvedValue({});
+    const remove = jest
+      .spyOn(WebhookJob, "deleteOne")
+      .mockResolvedValue({ deletedCount: 1 });
+
+    await eventQueueService.runJob(job(1, "A", { attempts: 3 }));
+
+    expect(eventQueueService.handler).toHaveBeenCalledWith(expect.anything(), {
+      isLastAttempt: true,
+    });
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: id(1), lastError: "boom" }),
+    );
+    expect(remove).toHaveBeenCalledWith({ _id: id(1) });
+    expect(updates).toEqual([]);
+  });
+});
+
+describe("ProcessedEvent.claim", () => {
+  function duplicateKey() {
+    const error = new Error("E11000 duplicate key");
+    error.code = 11000;
+    return error;
+  }
+
+  it("claims a new key", async () => {
+    jest.spyOn(ProcessedEvent, "create").mockResolvedValue({});
+
+    expect(await ProcessedEvent.claim("mid:1", { jobId: id(1) })).toBe(true);
+  });
+
+  it("lets the job that claimed a key claim it again after a crash", async () => {
+    jest.spyOn(ProcessedEvent, "create").mockRejectedValue(duplicateKey());
+    jest
+      .spyOn(ProcessedEvent, "exists")
+      .mockImplementation(async ({ jobId }) =>
+        jobId.equals(id(1)) ? { _id: id(9) } : null,
+      );
+
+    expect(await ProcessedEvent.claim("mid:1", { jobId: id(1) })).toBe(true);
+    expect(await ProcessedEvent.claim("mid:1", { jobId: id(2) })).toBe(false);
+    expect(await ProcessedEvent.claim("mid:1", {})).toBe(false);
+  });
+});
@@ -0,0 +1,231 @@
+const mongoose = require("mongoose");
+const { Order, Product, Store } = require("../models");
+const auditService = require("../services/auditService");
+const inventoryService = require("../services/inventoryService");
+
+// Sheets sync runs in the background and is not under test here
+jest.mock("../services/googleSheetsService", () => ({
+  updateProductStock: jest.fn().mockResolvedValue(),
+}));
+
+const store = { _id: new mongoose.Types.ObjectId(), name: "Test store" };
+const actor = { type: "user", name: "Owner" };
+
+function product(name, stock) {
+  return { _id: new mongoose.Types.ObjectId(), store: store._id, name, stock };
+}
+
+beforeEach(() => {
+  jest.spyOn(auditService, "record").mockResolvedValue();
+  jest.spyOn(Store, "findById").mockResolvedValue(store);
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("releaseOrderStock", () => {
+  function order(fields) {
+    return new Order({
+      store: store._id,
+      status: "cancelled",
+      totalAmount: 0,
+      ...fields,
+    });
+  }
+
+  it("puts every line back once", async () => {
+    const shirt = product("Хар цамц", 3);
+    const claim = jest
+      .spyOn(Order, "updateOne")
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+    const restock = jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ ...shirt, stock: 5 });
+    const cancelled = order({
+      items: [{ product: shirt._id, itemName: shirt.name, quantity: 2 }],
+    });
+
+    const restored = await inventoryService.releaseOrderStock(cancelled, actor);
+    const again = await inventoryService.releaseOrderStock(cancelled, actor);
+
+    expect(restored).toHaveLength(1);
+    expect(again).toEqual([]);
+    expect(restock).toHaveBeenCalledTimes(1);
+    expect(restock).toHaveBeenCalledWith(
+      { _id: shirt._id, store: store._id },
+      { $inc: { stock: 2 } },
+      { new: true },
+    );
+    expect(claim).toHaveBeenCalledWith(
+      { _id: cancelled._id, stockReleasedAt: null },
+      { $set: { stockReleasedAt: expect.any(Date) } },
+    );
+    expect(cancelled.stockReleasedAt).toBeInstanceOf(Date);
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "product.stock_changed",
+        before: { stock: 3 },
+        after: { stock: 5 },
+      }),
+    );
+  });
+
+  it("finds lines of orders from before catalog matching by name", async () => {
+    jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    const restock = jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue(null);
+
+    await inventoryService.releaseOrderStock(
+      order({ items: [{ itemName: "Хар цамц", quantity: 1 }] }),
+      actor,
+    );
+
+    expect(restock).toHaveBeenCalledWith(
+      { store: store._id, name: "Хар цамц" },
+      { $inc: { stock: 1 } },
+      { new: true },
+    );
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+});
+
+describe("reserveStock", () => {
+  it("takes stock only while enough is left", async () => {
+    const shirt = product("Хар цамц", 5);
+    const take = jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ ...shirt, stock: 3 });
+
+    const reservation = await inventoryService.reserveStock(
+      store,
+      [
+        { product: shirt._id, itemName: shirt.name, quantity: 2 },
+        { itemName: "Unmatched", quantity: 1 },
+      ],
+      actor,
+      "Order 1",
+    );
+
+    expect(reservation.ok).toBe(true);
+    expect(reservation.reserved).toEqual([
+      { product: expect.objectContaining({ stock: 3 }), quantity: 2 },
+    ]);
+    expect(take).toHaveBeenCalledTimes(1);
+    expect(take).toHaveBeenCalledWith(
+      { _id: shirt._id, store: store._id, stock: { $gte: 2 } },
+      { $inc: { stock: -2 } },
+      { new: true },
+    );
+  });
+
+  it("checks variant lines against the variant's own stock", async () => {
+    const shoe = product("Пүүз", 4);
+    const take = jest.spyOn(Product, "findOneAndUpdate").mockResolvedValue({
+      ...shoe,
+      stock: 3,
+      variants: [{ sku: "SHOE-41", stock: 0 }],
+    });
+
+    await inventoryService.reserveStock(
+      store,
+      [{ product: shoe._id, itemName: shoe.name, sku: "SHOE-41", quantity: 1 }],
+      actor,
+    );
+
+    expect(take).toHaveBeenCalledWith(
+      {
+        _id: shoe._id,
+        store: store._id,
+        variants: { $elemMatch: { sku: "SHOE-41", stock: { $gte: 1 } } },
+      },
+      { $inc: { stock: -1, "variants.$[v].stock": -1 } },
+      { new: true, arrayFilters: [{ "v.sku": "SHOE-41" }] },
+    );
+  });
+
+  it("is all or nothing: a short line gives back what was taken", async () => {
+    const shirt = product("Хар цамц", 5);
+    const hat = product("Малгай", 1);
+    const take = jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValueOnce({ ...shirt, stock: 4 })
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ ...shirt, stock: 5 });
+    jest.spyOn(Product, "findOne").mockResolvedValue(hat);
+
+    const reservation = await inventoryService.reserveStock(
+      store,
+      [
+        { product: shirt._id, itemName: shirt.name, quantity: 1 },
+        { product: hat._id, itemName: hat.name, quantity: 3 },
+      ],
+      actor,
+    );
+
+    expect(reservation).toEqual({
+      ok: false,
+      shortages: [
+        { name: "Малгай", sku: undefined, requested: 3, available: 1 },
+      ],
+    });
+    expect(take).toHaveBeenLastCalledWith(
+      { _id: shirt._id },
+      { $inc: { stock: 1 } },
+      { new: true },
+    );
+    // Nothing was sold, so nothing is audited
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+});
+
+describe("releaseOrderStock with recorded reservations", () => {
+  it("returns what was reserved, not what the lines say now", async () => {
+    const shirt = product("Хар цамц", 0);
+    jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    const restock = jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ ...shirt, stock: 1 });
+    const edited = new Order({
+      store: store._id,
+      status: "cancelled",
+      totalAmount: 0,
+      // Quantity raised and a line added after the reservation
+      items: [
+        { product: shirt._id, itemName: shirt.name, quantity: 5 },
+        { itemName: "Хар цамц", quantity: 2 },
+      ],
+      reservedItems: [{ product: shirt._id, quantity: 1 }],
+    });
+
+    await inventoryService.releaseOrderStock(edited, actor);
+
+    expect(restock).toHaveBeenCalledTimes(1);
+    expect(restock).toHaveBeenCalledWith(
+      { _id: shirt._id, store: store._id },
+      { $inc: { stock: 1 } },
+      { new: true },
+    );
+  });
+
+  it("returns nothing for an order that reserved nothing", async () => {
+    jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    const restock = jest.spyOn(Product, "findOneAndUpdate");
+
+    await inventoryService.releaseOrderStock(
+      new Order({
+        store: store._id,
+        status: "cancelled",
+        totalAmount: 0,
+        items: [{ itemName: "Unmatched", quantity: 1 }],
+        reservedItems: [],
+      }),
+      actor,
+    );
+
+    expect(restock).not.toHaveBeenCalled();
+  });
+});
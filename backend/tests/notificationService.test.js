@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+const { Store, HeldAlert } = require("../models");
+const messengerService = require("../services/messengerService");
+const notificationService = require("../services/notificationService");
+
+// 22:00-08:00 in Ulaanbaatar (UTC+8)
+const NIGHT = new Date("2024-05-01T16:00:00Z"); // 00:00 local
+const MORNING = new Date("2024-05-01T02:00:00Z"); // 10:00 local
+
+function storeDoc() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    name: "Test store",
+    facebookPageToken: "page-token",
+    settings: { timezone: "Asia/Ulaanbaatar" },
+    notifications: {
+      notifyOn: "all",
+      messengerAdminPsid: "admin-psid",
+      quietHours: { start: "22:00", end: "08:00" },
+    },
+  };
+}
+
+function order() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    items: [{ itemName: "Хар цамц", quantity: 1, price: 25000 }],
+    totalAmount: 25000,
+    phoneNumber: "99112233",
+    address: "БЗД",
+    aiExtraction: {},
+  };
+}
+
+let sent;
+
+beforeEach(() => {
+  sent = [];
+  jest
+    .spyOn(messengerService, "sendMessage")
+    .mockImplementation(async (psid, message) => {
+      sent.push(message.text);
+    });
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe("isQuietHours", () => {
+  it("handles windows that wrap midnight in the store's timezone", () => {
+    const store = storeDoc();
+    expect(notificationService.isQuietHours(store, NIGHT)).toBe(true);
+    expect(notificationService.isQuietHours(store, MORNING)).toBe(false);
+  });
+});
+
+describe("quiet hours", () => {
+  it("holds owner alerts instead of dropping them", async () => {
+    jest.useFakeTimers({ now: NIGHT, doNotFake: ["nextTick", "setImmediate"] });
+    const store = storeDoc();
+    jest
+      .spyOn(Store, "findById")
+      .mockReturnValue({ select: async () => store });
+    const hold = jest.spyOn(HeldAlert, "create").mockResolvedValue({});
+
+    const results = await notificationService.notifyOrderCreated(
+      order(),
+      store,
+    );
+
+    expect(results.messenger).toBe("held:quiet_hours");
+    expect(sent).toEqual([]);
+    expect(hold).toHaveBeenCalledWith(
+      expect.objectContaining({ store: store._id, event: "order.created" }),
+    );
+  });
+
+  it("sends test alerts right away or not at all", async () => {
+    jest.useFakeTimers({ now: NIGHT, doNotFake: ["nextTick", "setImmediate"] });
+    const store = storeDoc();
+    jest
+      .spyOn(Store, "findById")
+      .mockReturnValue({ select: async () => store });
+    const hold = jest.spyOn(HeldAlert, "create");
+
+    const results = await notificationService.sendTest(store);
+
+    expect(results.messenger).toBe("skipped:quiet_hours");
+    expect(hold).not.toHaveBeenCalled();
+  });
+
+  it("delivers held alerts as one digest once quiet hours end", async () => {
+    jest.useFakeTimers({
+      now: MORNING,
+      doNotFake: ["nextTick", "setImmediate"],
+    });
+    const store = storeDoc();
+    const held = [
+      { _id: 1, event: "order.created", text: "First order" },
+      { _id: 2, event: "order.created", text: "Second order" },
+    ];
+    jest.spyOn(HeldAlert, "distinct").mockResolvedValue([store._id]);
+    jest.spyOn(Store, "findById").mockResolvedValue(store);
+    jest.spyOn(HeldAlert, "find").mockReturnValue({ sort: async () => held });
+    const claim = jest
+      .spyOn(HeldAlert, "findOneAndDelete")
+      .mockImplementation(async ({ _id }) => held.find((a) => a._id === _id));
+
+    await notificationService.deliverHeldAlerts();
+
+    expect(claim).toHaveBeenCalledTimes(2);
+    expect(sent).toEqual(["First order\n\nSecond order"]);
+  });
+
+  it("keeps holding while quiet hours last", async () => {
+    jest.useFakeTimers({ now: NIGHT, doNotFake: ["nextTick", "setImmediate"] });
+    const store = storeDoc();
+    jest.spyOn(HeldAlert, "distinct").mockResolvedValue([store._id]);
+    jest.spyOn(Store, "findById").mockResolvedValue(store);
+    const find = jest.spyOn(HeldAlert, "find");
+
+    await notificationService.deliverHeldAlerts();
+
+    expect(find).not.toHaveBeenCalled();
+    expect(sent).toEqual([]);
+  });
+});
+
+describe("isPrivateHost", () => {
+  it.each([
+    "localhost",
+    "127.0.0.1",
+    "10.0.0.5",
+    "172.16.3.4",
+    "192.168.1.1",
+    "169.254.169.254",
+    "0.0.0.0",
+    "[::1]",
+    "[fd00::1]",
+    "[fe80::1]",
+    "[::ffff:7f00:1]",
+  ])("refuses %s", (host) => {
+    expect(notificationService.isPrivateHost(host)).toBe(true);
+  });
+
+  it.each(["example.com", "8.8.8.8", "172.32.0.1", "[2606:4700::1111]"])(
+    "allows %s",
+    (host) => {
+      expect(notificationService.isPrivateHost(host)).toBe(false);
+    },
+  );
+});
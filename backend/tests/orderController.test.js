@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+const { Order, Store } = require("../models");
+const auditService = require("../services/auditService");
+const customerService = require("../services/customerService");
+const orderService = require("../services/orderService");
+const orderController = require("../controllers/orderController");
+
+jest.mock("../services/googleSheetsService", () => ({}));
+
+const storeId = new mongoose.Types.ObjectId();
+
+function pendingOrder() {
+  const order = new Order({
+    store: storeId,
+    customer: new mongoose.Types.ObjectId(),
+    phoneNumber: "99112233",
+    address: "БЗД",
+    items: [{ itemName: "Хар цамц", quantity: 1, price: 25000 }],
+    totalAmount: 25000,
+    aiExtraction: { rawMessage: "хар цамц 1" },
+  });
+  jest.spyOn(order, "save").mockResolvedValue(order);
+  return order;
+}
+
+function request(body) {
+  return {
+    body,
+    params: { id: "order-id" },
+    user: { _id: new mongoose.Types.ObjectId(), name: "Owner" },
+    storeIds: [String(storeId)],
+  };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(auditService, "record").mockResolvedValue();
+  jest.spyOn(customerService, "refreshOrderTotals").mockResolvedValue();
+  jest.spyOn(Store, "findById").mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("verifyOrder", () => {
+  it("cancels through orderService.cancelOrder", async () => {
+    const order = pendingOrder();
+    jest.spyOn(Order, "findOne").mockResolvedValue(order);
+    const cancel = jest
+      .spyOn(orderService, "cancelOrder")
+      .mockImplementation(async (o, actor, note) =>
+        o.transitionTo("cancelled", actor, note),
+      );
+    const res = response();
+
+    await orderController.verifyOrder(
+      request({ status: "cancelled", notes: "Customer changed their mind" }),
+      res,
+      jest.fn(),
+    );
+
+    expect(cancel).toHaveBeenCalledWith(
+      order,
+      expect.objectContaining({ type: "user" }),
+      "Customer changed their mind",
+    );
+    expect(res.body.status).toBe("cancelled");
+    expect(res.body.aiExtraction.needsReview).toBe(false);
+  });
+
+  it("saves other status changes itself", async () => {
+    const order = pendingOrder();
+    jest.spyOn(Order, "findOne").mockResolvedValue(order);
+    const cancel = jest.spyOn(orderService, "cancelOrder");
+
+    await orderController.verifyOrder(
+      request({ status: "confirmed" }),
+      response(),
+      jest.fn(),
+    );
+
+    expect(cancel).not.toHaveBeenCalled();
+    expect(order.status).toBe("confirmed");
+    expect(order.save).toHaveBeenCalled();
+    expect(customerService.refreshOrderTotals).toHaveBeenCalledWith(
+      order.customer,
+    );
+  });
+
+  it("answers 409 to a cancellation the order no longer allows", async () => {
+    const order = pendingOrder();
+    order.transitionTo("confirmed", {});
+    order.transitionTo("processing", {});
+    order.transitionTo("shipped", {});
+    jest.spyOn(Order, "findOne").mockResolvedValue(order);
+    const res = response();
+
+    await orderController.verifyOrder(
+      request({ status: "cancelled" }),
+      res,
+      jest.fn(),
+    );
+
+    expect(res.statusCode).toBe(409);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+const { Order } = require("../models");
+const auditService = require("../services/auditService");
+const realtimeService = require("../services/realtimeService");
+const paymentService = require("../services/paymentService");
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("recordPayment", () => {
+  const actor = { type: "system", name: "qpay" };
+
+  function unpaidOrder() {
+    return new Order({
+      store: new mongoose.Types.ObjectId(),
+      customer: new mongoose.Types.ObjectId(),
+      phoneNumber: "99112233",
+      address: "БЗД",
+      items: [{ itemName: "Хар цамц", quantity: 1, price: 25000 }],
+      totalAmount: 25000,
+    });
+  }
+
+  beforeEach(() => {
+    jest.spyOn(auditService, "record").mockResolvedValue();
+    jest.spyOn(realtimeService, "publish").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("records a transaction id only if the order doesn't have it yet", async () => {
+    const order = unpaidOrder();
+    const update = jest
+      .spyOn(Order, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Order, "findById").mockResolvedValue(order);
+
+    const result = await paymentService.recordPayment(
+      order,
+      { amount: 25000, source: "qpay", externalId: "PAY-1" },
+      actor,
+    );
+
+    expect(result.duplicate).toBe(false);
+    expect(update).toHaveBeenCalledWith(
+      {
+        _id: order._id,
+        "payment.transactions": {
+          $not: { $elemMatch: { source: "qpay", externalId: "PAY-1" } },
+        },
+      },
+      expect.any(Array),
+    );
+  });
+
+  it("reports a transaction the order already has as a duplicate", async () => {
+    const order = unpaidOrder();
+    jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 0 });
+    const reload = jest.spyOn(Order, "findById");
+
+    const result = await paymentService.recordPayment(
+      order,
+      { amount: 25000, source: "qpay", externalId: "PAY-1" },
+      actor,
+    );
+
+    expect(result).toEqual({ order, duplicate: true });
+    expect(reload).not.toHaveBeenCalled();
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+
+  it("settles the status in the same update instead of saving afterwards", async () => {
+    const order = unpaidOrder();
+    const update = jest
+      .spyOn(Order, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const reloaded = unpaidOrder();
+    const save = jest.spyOn(reloaded, "save");
+    jest.spyOn(Order, "findById").mockResolvedValue(reloaded);
+
+    await paymentService.recordPayment(
+      order,
+      { amount: 25000, source: "manual", reference: "$99112233" },
+      actor,
+    );
+
+    const stages = update.mock.calls[0][1];
+    expect(stages.map((stage) => Object.keys(stage.$set))).toEqual([
+      [
+        "payment.transactions",
+        "payment.amountPaid",
+        "payment.amountDue",
+        "payment.reference",
+      ],
+      ["payment.status"],
+      ["payment.paidAt"],
+    ]);
+    // Customer text is never read as a field path
+    expect(stages[0].$set["payment.reference"]).toEqual({
+      $literal: "$99112233",
+    });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe("parseBankStatement", () => {
+  it("reads incoming transfers with Mongolian headers", () => {
+    const csv = [
+      "Гүйлгээний огноо,Гүйлгээний дугаар,Дүн,Гүйлгээний утга",
+      '2024-05-01,TX1,"1,250,000.00",99112233 захиалга',
+      "2024-05-01,TX2,35000,88001122",
+    ].join("\n");
+
+    expect(paymentService.parseBankStatement(csv)).toEqual([
+      {
+        externalId: "TX1",
+        date: "2024-05-01",
+        amount: 1250000,
+        description: "99112233 захиалга",
+      },
+      {
+        externalId: "TX2",
+        date: "2024-05-01",
+        amount: 35000,
+        description: "88001122",
+      },
+    ]);
+  });
+
+  it("detects semicolon-separated exports and skips outgoing lines", () => {
+    const csv = [
+      "Date;Amount;Description",
+      "2024-05-02;-50 000;Rent",
+      "2024-05-02;45 000 ₮;Payment 99112233",
+    ].join("\r\n");
+
+    const transfers = paymentService.parseBankStatement(csv);
+    expect(transfers).toHaveLength(1);
+    expect(transfers[0]).toMatchObject({
+      amount: 45000,
+      description: "Payment 99112233",
+    });
+  });
+
+  it("derives a stable id for statements without one", () => {
+    const csv = "Дүн,Утга\n20000,99112233";
+
+    const [first] = paymentService.parseBankStatement(csv);
+    const [again] = paymentService.parseBankStatement(csv);
+    expect(first.externalId).toMatch(/^csv:[0-9a-f]{40}$/);
+    expect(again.externalId).toBe(first.externalId);
+  });
+
+  it("tells identical transfers on the same day apart", () => {
+    const csv = [
+      "Огноо,Дүн,Утга",
+      "2024-05-03,20000,99112233",
+      "2024-05-03,20000,99112233",
+    ].join("\n");
+
+    const [first, second] = paymentService.parseBankStatement(csv);
+    expect(second.externalId).not.toBe(first.externalId);
+    // The first one keeps the id it had before any repeat was seen
+    const [alone] = paymentService.parseBankStatement(
+      "Огноо,Дүн,Утга\n2024-05-03,20000,99112233",
+    );
+    expect(first.externalId).toBe(alone.externalId);
+    expect(
+      paymentService.parseBankStatement(csv).map((t) => t.externalId),
+    ).toEqual([first.externalId, second.externalId]);
+  });
+
+  it("rejects statements without amount and description columns", () => {
+    expect(() => paymentService.parseBankStatement("Огноо,Дүн\n")).toThrow(
+      expect.objectContaining({ status: 400 }),
+    );
+    expect(() => paymentService.parseBankStatement("")).toThrow(
+      expect.objectContaining({ status: 400 }),
+    );
+  });
+});
+
+describe("normalizeMethod", () => {
+  it.each([
+    ["дансаар шилжүүлнэ", "bank_transfer"],
+    ["qpay-ээр", "qpay"],
+    ["бэлнээр", "cash_on_delivery"],
+    ["хүргэлтээр төлнө", "cash_on_delivery"],
+    ["картаар", "card"],
+    ["дараа нь", "other"],
+  ])("%s -> %s", (text, method) => {
+    expect(paymentService.normalizeMethod(text)).toBe(method);
+  });
+
+  it("returns nothing when no method was said", () => {
+    expect(paymentService.normalizeMethod(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const verifyWebhookSignature = require("../middleware/verifyWebhookSignature");
+
+const APP_SECRET = "test-app-secret";
+
+function sign(body, secret = APP_SECRET) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+function delivery(body, signature) {
+  return {
+    ip: "127.0.0.1",
+    body: Buffer.from(body),
+    get: (name) =>
+      name.toLowerCase() === "x-hub-signature-256" ? signature : undefined,
+  };
+}
+
+function response() {
+  return {
+    statusCode: null,
+    sendStatus(code) {
+      this.statusCode = code;
+      return this;
+    },
+  };
+}
+
+describe("verifyWebhookSignature", () => {
+  const body = JSON.stringify({ object: "page", entry: [] });
+  let warn;
+
+  beforeEach(() => {
+    process.env.FACEBOOK_APP_SECRET = APP_SECRET;
+    warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+    delete process.env.FACEBOOK_APP_SECRET;
+  });
+
+  it("accepts a correctly signed delivery and parses its body", () => {
+    const req = delivery(body, sign(body));
+    const res = response();
+    const next = jest.fn();
+
+    verifyWebhookSignature(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual({ object: "page", entry: [] });
+    expect(req.rawBody.toString()).toBe(body);
+  });
+
+  it("rejects a missing signature", () => {
+    const res = response();
+    const next = jest.fn();
+
+    verifyWebhookSignature(delivery(body, undefined), res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("rejects a signature made with another secret", () => {
+    const res = response();
+    const next = jest.fn();
+
+    verifyWebhookSignature(
+      delivery(body, sign(body, "someone-else")),
+      res,
+      next,
+    );
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("rejects a body changed after signing", () => {
+    const res = response();
+    const next = jest.fn();
+
+    verifyWebhookSignature(delivery(`${body} `, sign(body)), res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("counts rejections by reason", () => {
+    const before = verifyWebhookSignature.getRejectionStats();
+
+    verifyWebhookSignature(delivery(body, "sha1=abc"), response(), jest.fn());
+    verifyWebhookSignature(delivery(body, "sha256=00"), response(), jest.fn());
+
+    const after = verifyWebhookSignature.getRejectionStats();
+    expect(after.missing).toBe(before.missing + 1);
+    expect(after.invalid).toBe(before.invalid + 1);
+    expect(after.total).toBe(before.total + 2);
+  });
+
+  it("refuses everything when the app secret is not configured", () => {
+    delete process.env.FACEBOOK_APP_SECRET;
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const res = response();
+    const next = jest.fn();
+
+    verifyWebhookSignature(delivery(body, sign(body)), res, next);
+
+    expect(res.statusCode).toBe(500);
+    expect(next).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  it("answers 400 to a signed body that is not JSON", () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const res = response();
+    const next = jest.fn();
+
+    verifyWebhookSignature(delivery("not json", sign("not json")), res, next);
+
+    expect(res.statusCode).toBe(400);
+    expect(next).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,104 @@
+const visionService = require("../services/visionService");
+
+const catalog = [
+  {
+    name: "Хар цамц",
+    images: ["https://cdn.example.com/products/black-shirt.jpg?v=2"],
+  },
+  { name: "Пүүз", images: ["https://cdn.example.com/products/shoe.png"] },
+];
+
+describe("stubProvider", () => {
+  const { stubProvider } = visionService;
+
+  it("recognises a product by its image URL", async () => {
+    const result = await stubProvider.analyzeImage({
+      url: "https://cdn.example.com/products/shoe.png",
+      catalog,
+    });
+    expect(result).toEqual({
+      kind: "product",
+      productNames: ["Пүүз"],
+      receipt: null,
+      confidence: 1,
+    });
+  });
+
+  it("recognises a product by file name, ignoring host and query", async () => {
+    const result = await stubProvider.analyzeImage({
+      url: "https://scontent.xx.fbcdn.net/v/BLACK-SHIRT.jpg?oh=abc",
+      catalog,
+    });
+    expect(result.kind).toBe("product");
+    expect(result.productNames).toEqual(["Хар цамц"]);
+  });
+
+  it("treats receipt-like file names as receipts", async () => {
+    const result = await stubProvider.analyzeImage({
+      url: "https://example.com/uploads/guilgee_0412.jpg",
+      catalog,
+    });
+    expect(result).toMatchObject({ kind: "receipt", confidence: 0.5 });
+  });
+
+  it("calls anything else other", async () => {
+    const result = await stubProvider.analyzeImage({
+      url: "https://example.com/cat.jpg",
+      catalog,
+    });
+    expect(result).toEqual({
+      kind: "other",
+      productNames: [],
+      receipt: null,
+      confidence: 0,
+    });
+  });
+});
+
+describe("analyzeImage", () => {
+  afterEach(() => {
+    visionService.useProvider(visionService.stubProvider);
+  });
+
+  it("reports which provider answered", async () => {
+    visionService.useProvider(visionService.stubProvider);
+    const result = await visionService.analyzeImage(
+      "https://cdn.example.com/products/shoe.png",
+      catalog,
+    );
+    expect(result).toEqual({
+      kind: "product",
+      productNames: ["Пүүз"],
+      receipt: null,
+      confidence: 1,
+      provider: "stub",
+    });
+  });
+
+  it("cleans up malformed provider answers", async () => {
+    visionService.useProvider({
+      name: "custom",
+      analyzeImage: async () => ({ kind: "selfie", confidence: "high" }),
+    });
+    const result = await visionService.analyzeImage("https://x/y.jpg");
+    expect(result).toEqual({
+      kind: "other",
+      productNames: [],
+      receipt: null,
+      confidence: 0,
+      provider: "custom",
+    });
+  });
+
+  it("never throws when the provider fails", async () => {
+    visionService.useProvider({
+      name: "broken",
+      analyzeImage: async () => {
+        throw new Error("timeout");
+      },
+    });
+    await expect(
+      visionService.analyzeImage("https://x/y.jpg"),
+    ).resolves.toMatchObject({ kind: "other", provider: "broken" });
+  });
+});
@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+const {
+  Conversation,
+  Customer,
+  Order,
+  ProcessedEvent,
+  Product,
+  Store,
+} = require("../models");
+const messengerService = require("../services/messengerService");
+const orderService = require("../services/orderService");
+const realtimeService = require("../services/realtimeService");
+const visionService = require("../services/visionService");
+const webhookController = require("../controllers/webhookController");
+
+// Neither is reached by image messages; both need outside services to load
+jest.mock("../services/aiService", () => ({}));
+jest.mock("../services/googleSheetsService", () => ({}));
+
+const RECEIPT_URL = "https://example.com/uploads/guilgee_0412.jpg";
+
+const store = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Test store",
+  facebookPageId: "page-1",
+  facebookPageToken: "page-token",
+};
+const customer = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Бат",
+  store: store._id,
+};
+
+let conversation;
+let analyzeImage;
+
+function imageJob(mid) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    pageId: store.facebookPageId,
+    senderPsid: "psid-1",
+    event: {
+      sender: { id: "psid-1" },
+      message: {
+        mid,
+        attachments: [{ type: "image", payload: { url: RECEIPT_URL } }],
+      },
+    },
+  };
+}
+
+function pendingOrder() {
+  const order = new Order({
+    store: store._id,
+    customer: customer._id,
+    phoneNumber: "99112233",
+    address: "БЗД",
+    items: [{ itemName: "Хар цамц", quantity: 1, price: 25000 }],
+    totalAmount: 25000,
+  });
+  jest.spyOn(Order, "find").mockReturnValue({
+    sort: () => ({ limit: async () => [order] }),
+  });
+  return order;
+}
+
+beforeEach(() => {
+  conversation = new Conversation({
+    customer: customer._id,
+    store: store._id,
+    facebookConversationId: "psid-1",
+  });
+  jest.spyOn(conversation, "save").mockResolvedValue(conversation);
+  analyzeImage = jest.fn().mockResolvedValue({
+    kind: "receipt",
+    productNames: [],
+    receipt: { amount: "25000" },
+  });
+
+  jest.spyOn(ProcessedEvent, "claim").mockResolvedValue(true);
+  jest.spyOn(Store, "findOne").mockResolvedValue(store);
+  jest.spyOn(Product, "find").mockResolvedValue([]);
+  jest.spyOn(Customer, "findOne").mockResolvedValue(customer);
+  jest.spyOn(Conversation, "findOne").mockResolvedValue(conversation);
+  jest.spyOn(visionService, "analyzeImage").mockImplementation(analyzeImage);
+  jest.spyOn(messengerService, "sendMessage").mockResolvedValue();
+  jest.spyOn(realtimeService, "publish").mockImplementation(() => {});
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("image messages", () => {
+  it("attaches a receipt to the latest pending order", async () => {
+    const order = pendingOrder();
+    const attach = jest
+      .spyOn(orderService, "addPaymentProof")
+      .mockImplementation(async (o, proof) => o.paymentProofs.push(proof));
+
+    await webhookController.processQueuedEvent(imageJob("m-1"));
+
+    expect(attach).toHaveBeenCalledWith(
+      order,
+      expect.objectContaining({ url: RECEIPT_URL, amount: 25000 }),
+      expect.anything(),
+    );
+    expect(conversation.messages.map((m) => m.sender)).toEqual([
+      "customer",
+      "bot",
+    ]);
+  });
+
+  it("still attaches the receipt when a retry finds the message stored", async () => {
+    const order = pendingOrder();
+    conversation.messages.push({
+      sender: "customer",
+      text: "[image]",
+      metadata: { mid: "m-1" },
+    });
+    const attach = jest
+      .spyOn(orderService, "addPaymentProof")
+      .mockImplementation(async (o, proof) => o.paymentProofs.push(proof));
+
+    await webhookController.processQueuedEvent(imageJob("m-1"));
+
+    expect(attach).toHaveBeenCalledTimes(1);
+    expect(order.paymentProofs.map((p) => p.url)).toEqual([RECEIPT_URL]);
+    // The customer's message is not stored a second time
+    expect(
+      conversation.messages.filter((m) => m.sender === "customer"),
+    ).toHaveLength(1);
+  });
+
+  it("does not attach a receipt the first attempt already attached", async () => {
+    const order = pendingOrder();
+    order.paymentProofs.push({ url: RECEIPT_URL });
+    const attach = jest.spyOn(orderService, "addPaymentProof");
+
+    await webhookController.processQueuedEvent(imageJob("m-1"));
+
+    expect(attach).not.toHaveBeenCalled();
+  });
+
+  it("only stores the media while a human has taken over", async () => {
+    conversation.botPaused = true;
+
+    await webhookController.processQueuedEvent(imageJob("m-2"));
+
+    expect(analyzeImage).not.toHaveBeenCalled();
+    expect(messengerService.sendMessage).not.toHaveBeenCalled();
+    expect(conversation.messages).toHaveLength(1);
+    expect(conversation.messages[0].attachments[0].url).toBe(RECEIPT_URL);
+  });
+});